@@ -0,0 +1,138 @@
+// Service worker keeping the page, book models, images and the DRACO and KTX2 decoders in Cache Storage.
+// The page (src/offlineCache.js) posts the asset list with a version derived from the
+// catalog and a namespace naming the catalog. Each version gets its own cache, named
+// book-assets-<namespace>-<version>; once it is filled, older versions of the same
+// catalog are deleted, and caches of other catalogs are left alone.
+// The decoder directories come from the page too, as ?paths= on the script URL, since the
+// worker can be restarted at any time and has to know them before any message arrives.
+// Lives in public/ so Vite copies it unhashed to the site root, giving it scope "/".
+
+const CACHE_PREFIX = "book-assets-";
+
+// Only requests under these paths are served from the cache ("/assets/" is Vite's hashed build output)
+const ASSET_PATHS = [
+    "/books/",
+    "/assets/",
+    ...(new URL(self.location.href).searchParams.get("paths") ?? "").split(",").filter(Boolean),
+];
+
+self.addEventListener("install", () => {
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Every catalog's caches, or one catalog's with a namespace
+async function versionNames(namespace) {
+    const prefix = namespace ? `${CACHE_PREFIX}${namespace}-` : CACHE_PREFIX;
+    return (await caches.keys()).filter((name) => name.startsWith(prefix));
+}
+
+// The newest versioned cache, if the page has filled one yet
+async function currentCacheName() {
+    const names = await versionNames();
+    return names[names.length - 1];
+}
+
+// Newest version first, falling back to older ones while the newest is still incomplete
+async function matchAsset(request, options) {
+    for (const name of (await versionNames()).reverse()) {
+        const cached = await (await caches.open(name)).match(request, options);
+        if (cached) return cached;
+    }
+    return undefined;
+}
+
+self.addEventListener("message", (event) => {
+    const { type, namespace, version, urls } = event.data ?? {};
+    if (type !== "cache-assets") return;
+
+    event.waitUntil(
+        cacheVersion(namespace, version, urls).then((result) => {
+            event.source?.postMessage({ type: "assets-cached", version, ...result });
+        }),
+    );
+});
+
+async function cacheVersion(namespace, version, urls) {
+    const name = `${CACHE_PREFIX}${namespace}-${version}`;
+    const cache = await caches.open(name);
+    const failed = [];
+
+    await Promise.all(
+        urls.map(async (url) => {
+            if (await cache.match(url)) return;
+
+            // Straight from the network: a file may have changed without its URL changing
+            try {
+                const response = await fetch(url, { cache: "no-cache" });
+                if (!response.ok) throw new Error(`status ${response.status}`);
+                await cache.put(url, response);
+            } catch (error) {
+                failed.push(url);
+            }
+        }),
+    );
+
+    // Keep the old version while the new one is incomplete, so an offline visit still has everything
+    if (!failed.length) {
+        const stale = (await versionNames(namespace)).filter((key) => key !== name);
+        await Promise.all(stale.map((key) => caches.delete(key)));
+    }
+
+    return { cached: urls.length - failed.length, failed };
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // The page and the catalog decide what gets loaded, so they come from the network when there is one
+    if (request.mode === "navigate") {
+        event.respondWith(networkFirst(request, { ignoreSearch: true }));
+        return;
+    }
+
+    if (!ASSET_PATHS.some((path) => url.pathname.startsWith(path))) return;
+
+    if (url.pathname.endsWith(".json")) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Copy a response into the current version, if there is one yet
+async function store(request, response) {
+    const name = await currentCacheName();
+    if (response.ok && name) {
+        const cache = await caches.open(name);
+        await cache.put(request, response.clone());
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await matchAsset(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    await store(request, response);
+    return response;
+}
+
+async function networkFirst(request, matchOptions) {
+    try {
+        const response = await fetch(request);
+        await store(request, response);
+        return response;
+    } catch (error) {
+        const cached = await matchAsset(request, matchOptions);
+        if (cached) return cached;
+        throw error;
+    }
+}
@@ -0,0 +1,184 @@
+// Build a book's assets from a source GLB and its cover images, and add it to the catalog.
+//
+//   npm run book-assets -- source.glb --id bone --title "Bone" --author "Yrsa Daley-Ward" \
+//       --front front.webp --spine spine.webp --back back.webp
+//
+// Writes <out>/<id>-comp.glb (DRACO), <out>/<id>-medium.glb (coarser quantization) and
+// <out>/<id>-low.glb (coarser still, without the embedded textures the covers replace anyway),
+// copies the covers to <out>/<id>/, checks the model has what the scene needs (cover and page
+// materials, page-turn animation) and adds or updates the catalog entry. Nothing touches the network.
+
+import { copyFile, mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DEFAULT_COVER_MATERIALS, DEFAULT_PAGE_MATERIALS } from "../src/bookTextures.js";
+import { parseCatalog } from "../src/catalog.js";
+import { compressGlb, dropTextures, QUANTIZATION, readGlb, writeGlb } from "./glb.js";
+
+const USAGE = `Usage: npm run book-assets -- <source.glb> --id <slug> [options]
+
+  --id <slug>         Catalog id, also used for file names (required)
+  --title <text>      Required for a new book; kept from the catalog otherwise
+  --author <text>     Required for a new book; kept from the catalog otherwise
+  --front <image>     Cover images, copied next to the models
+  --spine <image>
+  --back <image>
+  --catalog <file>    Catalog to update (default public/books/catalog.json)
+  --out <dir>         Where models and covers go (default public/books)
+  --public <dir>      Directory served at "/", for building URLs (default public)
+  --check-only        Only check the model; write nothing`;
+
+const COVER_SLOTS = ["front", "spine", "back"];
+
+function fail(message) {
+    console.error(`book-assets: ${message}`);
+    process.exit(1);
+}
+
+/**
+ * Problems that would stop the book from working in the scene: missing cover or page
+ * materials, or page leaves without the rotation clip that turns them.
+ */
+function checkModel(json) {
+    const problems = [];
+    const materialNames = new Set((json.materials ?? []).map((material) => material.name));
+
+    Object.entries({ ...DEFAULT_COVER_MATERIALS, ...DEFAULT_PAGE_MATERIALS }).forEach(([slot, name]) => {
+        if (!materialNames.has(name)) problems.push(`no "${name}" material (${slot})`);
+    });
+
+    const animations = json.animations ?? [];
+    if (!animations.length) {
+        problems.push("no animation clips; the book can't open");
+        return problems;
+    }
+
+    // Leaves are meshes using the left page material; the scene turns the top-level node above each
+    const nodes = json.nodes ?? [];
+    const parents = new Map();
+    nodes.forEach((node, index) => (node.children ?? []).forEach((child) => parents.set(child, index)));
+
+    const leftMaterial = (json.materials ?? []).findIndex((material) => material.name === DEFAULT_PAGE_MATERIALS.left);
+    const pivots = new Set();
+    nodes.forEach((node, index) => {
+        const mesh = json.meshes?.[node.mesh];
+        if (!mesh?.primitives.some((primitive) => primitive.material === leftMaterial)) return;
+
+        let pivot = index;
+        while (parents.has(pivot)) pivot = parents.get(pivot);
+        pivots.add(pivot);
+    });
+
+    const rotated = new Set(
+        animations.flatMap((animation) => animation.channels)
+            .filter((channel) => channel.target.path === "rotation")
+            .map((channel) => channel.target.node),
+    );
+
+    pivots.forEach((pivot) => {
+        if (!rotated.has(pivot)) {
+            problems.push(`page leaf "${nodes[pivot].name ?? pivot}" has no rotation clip`);
+        }
+    });
+
+    return problems;
+}
+
+const toUrl = (publicDir, file) => `/${path.relative(publicDir, file).split(path.sep).join("/")}`;
+
+async function main() {
+    const { values: args, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            id: { type: "string" },
+            title: { type: "string" },
+            author: { type: "string" },
+            front: { type: "string" },
+            spine: { type: "string" },
+            back: { type: "string" },
+            catalog: { type: "string", default: "public/books/catalog.json" },
+            out: { type: "string", default: "public/books" },
+            public: { type: "string", default: "public" },
+            "check-only": { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const [source] = positionals;
+    if (!source) fail(`missing source GLB\n\n${USAGE}`);
+
+    const gltf = readGlb(await readFile(source));
+
+    const problems = checkModel(gltf.json);
+    if (problems.length) fail(`${source} can't be used as a book:\n  - ${problems.join("\n  - ")}`);
+    console.log(`${source}: ${gltf.json.animations.length} animation clips, materials OK`);
+
+    if (args["check-only"]) return;
+    if (!args.id) fail(`missing --id\n\n${USAGE}`);
+
+    // Work out the new catalog first, so nothing is written for a book the catalog would reject
+    const catalog = JSON.parse(await readFile(args.catalog, "utf8"));
+    const books = Array.isArray(catalog) ? catalog : catalog.books;
+    const existingIndex = books.findIndex((book) => book.id === args.id);
+    const existing = books[existingIndex] ?? {};
+
+    const files = {
+        high: path.join(args.out, `${args.id}-comp.glb`),
+        medium: path.join(args.out, `${args.id}-medium.glb`),
+        low: path.join(args.out, `${args.id}-low.glb`),
+    };
+
+    const covers = { ...existing.covers };
+    const coverCopies = [];
+    COVER_SLOTS.forEach((slot) => {
+        if (!args[slot]) return;
+        const target = path.join(args.out, args.id, `${slot}${path.extname(args[slot])}`);
+        coverCopies.push([args[slot], target]);
+        covers[slot] = toUrl(args.public, target);
+    });
+
+    const entry = {
+        ...existing,
+        id: args.id,
+        title: args.title ?? existing.title,
+        author: args.author ?? existing.author,
+        url: Object.fromEntries(Object.entries(files).map(([tier, file]) => [tier, toUrl(args.public, file)])),
+        covers,
+    };
+
+    if (existingIndex === -1) {
+        books.push(entry);
+    } else {
+        books[existingIndex] = entry;
+    }
+
+    try {
+        parseCatalog(catalog, args.catalog);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    await mkdir(path.join(args.out, args.id), { recursive: true });
+
+    for (const [tier, file] of Object.entries(files)) {
+        const variant = tier === "low" ? dropTextures(gltf) : gltf;
+        const output = writeGlb(await compressGlb(variant, QUANTIZATION[tier]));
+        await writeFile(file, output);
+        console.log(`wrote ${file} (${(output.length / 1024).toFixed(0)} KB)`);
+    }
+
+    for (const [from, to] of coverCopies) {
+        await copyFile(from, to);
+        console.log(`copied ${from} -> ${to}`);
+    }
+
+    await writeFile(args.catalog, `${JSON.stringify(catalog, null, 2)}\n`);
+    console.log(`${existingIndex === -1 ? "added" : "updated"} "${args.id}" in ${args.catalog}`);
+}
+
+main().catch((error) => fail(error.message));
@@ -0,0 +1,442 @@
+// Reading, DRACO-compressing and writing GLB files, using the DRACO encoder/decoder
+// that public/draco already serves to the browser (so nothing is downloaded).
+
+import { readFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DRACO_DIR = fileURLToPath(new URL("../public/draco/", import.meta.url));
+const DRACO_EXTENSION = "KHR_draco_mesh_compression";
+
+const GLB_MAGIC = 0x46546c67;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const COMPONENT_ARRAYS = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array,
+};
+const TRIANGLES = 4;
+
+// Quantization bits per attribute; fewer bits = smaller file, coarser geometry and UVs
+export const QUANTIZATION = {
+    high: { POSITION: 14, NORMAL: 10, TEX_COORD: 12, COLOR: 8, GENERIC: 12 },
+    medium: { POSITION: 12, NORMAL: 8, TEX_COORD: 11, COLOR: 7, GENERIC: 10 },
+    low: { POSITION: 11, NORMAL: 7, TEX_COORD: 10, COLOR: 6, GENERIC: 8 },
+};
+
+export function readGlb(buffer) {
+    if (buffer.readUInt32LE(0) !== GLB_MAGIC) throw new Error("not a GLB file");
+    if (buffer.readUInt32LE(4) !== 2) throw new Error(`unsupported glTF version ${buffer.readUInt32LE(4)}`);
+
+    let json = null;
+    let bin = Buffer.alloc(0);
+
+    for (let offset = 12; offset < buffer.length;) {
+        const length = buffer.readUInt32LE(offset);
+        const type = buffer.readUInt32LE(offset + 4);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === CHUNK_JSON) json = JSON.parse(data.toString("utf8"));
+        if (type === CHUNK_BIN) bin = data;
+        offset += 8 + length;
+    }
+
+    if (!json) throw new Error("GLB has no JSON chunk");
+    if ((json.buffers ?? []).some((b) => b.uri !== undefined)) {
+        throw new Error("GLB references external buffers; embed them first");
+    }
+
+    return { json, bin };
+}
+
+const pad4 = (length) => (4 - (length % 4)) % 4;
+
+export function writeGlb({ json, bin }) {
+    const jsonBytes = Buffer.from(JSON.stringify(json), "utf8");
+    const jsonChunk = Buffer.concat([jsonBytes, Buffer.alloc(pad4(jsonBytes.length), 0x20)]);
+    const binChunk = Buffer.concat([bin, Buffer.alloc(pad4(bin.length))]);
+
+    const header = Buffer.alloc(12);
+    const total = 12 + 8 + jsonChunk.length + (binChunk.length ? 8 + binChunk.length : 0);
+    header.writeUInt32LE(GLB_MAGIC, 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(total, 8);
+
+    const chunkHeader = (length, type) => {
+        const bytes = Buffer.alloc(8);
+        bytes.writeUInt32LE(length, 0);
+        bytes.writeUInt32LE(type, 4);
+        return bytes;
+    };
+
+    return Buffer.concat([
+        header,
+        chunkHeader(jsonChunk.length, CHUNK_JSON),
+        jsonChunk,
+        ...(binChunk.length ? [chunkHeader(binChunk.length, CHUNK_BIN), binChunk] : []),
+    ]);
+}
+
+// The Emscripten builds are UMD scripts and this package is ESM, so evaluate them by hand
+async function loadEmscriptenModule(file) {
+    const module = { exports: {} };
+    const source = await readFile(file, "utf8");
+    new Function("module", "exports", "require", "__dirname", source)(
+        module,
+        module.exports,
+        createRequire(file),
+        path.dirname(file),
+    );
+
+    // Wrapped, as the Emscripten module is a thenable and can't be a promise's value itself
+    const factory = module.exports;
+    return new Promise((resolve) => {
+        factory({ onModuleLoaded: (instance) => resolve({ instance }) });
+    });
+}
+
+let draco = null;
+
+export async function loadDraco() {
+    if (!draco) {
+        const [encoder, decoder] = await Promise.all([
+            loadEmscriptenModule(path.join(DRACO_DIR, "draco_encoder.js")),
+            loadEmscriptenModule(path.join(DRACO_DIR, "draco_decoder.js")),
+        ]);
+        draco = { encoder: encoder.instance, decoder: decoder.instance };
+    }
+    return draco;
+}
+
+// Accessor contents as a tightly packed typed array (honours byteStride)
+function readAccessor(gltf, index) {
+    const accessor = gltf.json.accessors[index];
+    const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+    const components = COMPONENTS[accessor.type];
+    const values = new ArrayType(accessor.count * components);
+
+    if (accessor.bufferView === undefined) return values;
+    if (accessor.sparse) throw new Error(`accessor ${index} is sparse, which is not supported`);
+
+    const view = gltf.json.bufferViews[accessor.bufferView];
+    const elementSize = ArrayType.BYTES_PER_ELEMENT * components;
+    const stride = view.byteStride ?? elementSize;
+    const start = gltf.bin.byteOffset + (view.byteOffset ?? 0) + (accessor.byteOffset ?? 0);
+    const data = new DataView(gltf.bin.buffer);
+
+    const read = {
+        5120: (o) => data.getInt8(o),
+        5121: (o) => data.getUint8(o),
+        5122: (o) => data.getInt16(o, true),
+        5123: (o) => data.getUint16(o, true),
+        5125: (o) => data.getUint32(o, true),
+        5126: (o) => data.getFloat32(o, true),
+    }[accessor.componentType];
+
+    for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < components; c++) {
+            values[i * components + c] = read(start + i * stride + c * ArrayType.BYTES_PER_ELEMENT);
+        }
+    }
+    return values;
+}
+
+// Indices and float attributes of a primitive, decoding it first if it is already DRACO-compressed
+function readPrimitive(gltf, primitive, decoderModule) {
+    const compressed = primitive.extensions?.[DRACO_EXTENSION];
+    if (!compressed) {
+        const attributes = {};
+        Object.entries(primitive.attributes).forEach(([semantic, index]) => {
+            const accessor = gltf.json.accessors[index];
+            if (accessor.componentType !== 5126) {
+                throw new Error(`${semantic} uses componentType ${accessor.componentType}; only float attributes are supported`);
+            }
+            attributes[semantic] = { values: readAccessor(gltf, index), components: COMPONENTS[accessor.type] };
+        });
+
+        const count = gltf.json.accessors[primitive.attributes.POSITION].count;
+        const indices = primitive.indices !== undefined
+            ? Uint32Array.from(readAccessor(gltf, primitive.indices))
+            : Uint32Array.from({ length: count }, (_, i) => i);
+
+        return { attributes, indices };
+    }
+
+    const view = gltf.json.bufferViews[compressed.bufferView];
+    const bytes = new Int8Array(gltf.bin.buffer, gltf.bin.byteOffset + (view.byteOffset ?? 0), view.byteLength);
+
+    const module = decoderModule;
+    const decoder = new module.Decoder();
+    const mesh = new module.Mesh();
+
+    try {
+        const status = decoder.DecodeArrayToMesh(bytes, bytes.byteLength, mesh);
+        if (!status.ok() || mesh.ptr === 0) throw new Error(`DRACO decoding failed: ${status.error_msg()}`);
+
+        const indexCount = mesh.num_faces() * 3;
+        const indexPtr = module._malloc(indexCount * 4);
+        decoder.GetTrianglesUInt32Array(mesh, indexCount * 4, indexPtr);
+        const indices = new Uint32Array(module.HEAPF32.buffer, indexPtr, indexCount).slice();
+        module._free(indexPtr);
+
+        const attributes = {};
+        Object.entries(compressed.attributes).forEach(([semantic, id]) => {
+            const attribute = decoder.GetAttributeByUniqueId(mesh, id);
+            const components = attribute.num_components();
+            const valueCount = mesh.num_points() * components;
+            const ptr = module._malloc(valueCount * 4);
+            decoder.GetAttributeDataArrayForAllPoints(mesh, attribute, module.DT_FLOAT32, valueCount * 4, ptr);
+            attributes[semantic] = { values: new Float32Array(module.HEAPF32.buffer, ptr, valueCount).slice(), components };
+            module._free(ptr);
+        });
+
+        return { attributes, indices };
+    } finally {
+        module.destroy(mesh);
+        module.destroy(decoder);
+    }
+}
+
+function dracoAttributeType(module, semantic) {
+    if (semantic === "POSITION") return ["POSITION", module.POSITION];
+    if (semantic === "NORMAL") return ["NORMAL", module.NORMAL];
+    if (semantic.startsWith("TEXCOORD_")) return ["TEX_COORD", module.TEX_COORD];
+    if (semantic.startsWith("COLOR_")) return ["COLOR", module.COLOR];
+    return ["GENERIC", module.GENERIC];
+}
+
+function encodePrimitive({ attributes, indices }, encoderModule, quantization) {
+    const module = encoderModule;
+    const encoder = new module.Encoder();
+    const builder = new module.MeshBuilder();
+    const mesh = new module.Mesh();
+    const output = new module.DracoInt8Array();
+
+    try {
+        const pointCount = attributes.POSITION.values.length / attributes.POSITION.components;
+        builder.AddFacesToMesh(mesh, indices.length / 3, indices);
+
+        const ids = {};
+        Object.entries(attributes).forEach(([semantic, { values, components }]) => {
+            const [kind, type] = dracoAttributeType(module, semantic);
+            ids[semantic] = builder.AddFloatAttributeToMesh(mesh, type, pointCount, components, values);
+            encoder.SetAttributeQuantization(type, quantization[kind]);
+        });
+
+        encoder.SetSpeedOptions(5, 5);
+        encoder.SetEncodingMethod(module.MESH_EDGEBREAKER_ENCODING);
+        encoder.SetTrackEncodedProperties(true);
+
+        const length = encoder.EncodeMeshToDracoBuffer(mesh, output);
+        if (!length) throw new Error("DRACO encoding failed");
+
+        const bytes = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) bytes[i] = output.GetValue(i) & 0xff;
+
+        return {
+            bytes,
+            ids,
+            pointCount: encoder.GetNumberOfEncodedPoints(),
+            faceCount: encoder.GetNumberOfEncodedFaces(),
+        };
+    } finally {
+        module.destroy(output);
+        module.destroy(mesh);
+        module.destroy(builder);
+        module.destroy(encoder);
+    }
+}
+
+/**
+ * Return a copy of the GLB with every triangle mesh DRACO-compressed at the given
+ * quantization. Already-compressed input is decoded first, so this also re-encodes.
+ * Everything else (images, animations, materials) is carried over untouched.
+ */
+export async function compressGlb(gltf, quantization) {
+    const { encoder, decoder } = await loadDraco();
+    const json = structuredClone(gltf.json);
+
+    // New accessors and DRACO payloads go after the existing ones, and unused ones are dropped below
+    const dracoViews = [];
+
+    (json.meshes ?? []).forEach((mesh) => {
+        mesh.primitives.forEach((primitive) => {
+            if ((primitive.mode ?? TRIANGLES) !== TRIANGLES || primitive.targets) return;
+
+            const data = readPrimitive(gltf, primitive, decoder);
+            const encoded = encodePrimitive(data, encoder, quantization);
+
+            const attributes = {};
+            Object.keys(data.attributes).forEach((semantic) => {
+                const original = json.accessors[primitive.attributes[semantic]];
+                const accessor = {
+                    componentType: 5126,
+                    count: encoded.pointCount,
+                    type: original.type,
+                };
+                if (original.min) accessor.min = original.min;
+                if (original.max) accessor.max = original.max;
+                attributes[semantic] = json.accessors.push(accessor) - 1;
+            });
+
+            const indices = json.accessors.push({
+                componentType: encoded.pointCount > 65535 ? 5125 : 5123,
+                count: encoded.faceCount * 3,
+                type: "SCALAR",
+            }) - 1;
+
+            dracoViews.push(encoded.bytes);
+            primitive.attributes = attributes;
+            primitive.indices = indices;
+            primitive.extensions = {
+                ...primitive.extensions,
+                [DRACO_EXTENSION]: { bufferView: -dracoViews.length, attributes: encoded.ids },
+            };
+        });
+    });
+
+    json.extensionsUsed = [...new Set([...(json.extensionsUsed ?? []), DRACO_EXTENSION])];
+    json.extensionsRequired = [...new Set([...(json.extensionsRequired ?? []), DRACO_EXTENSION])];
+
+    return repack(json, gltf.bin, dracoViews);
+}
+
+// Extensions that only describe images, which go when the images do
+const IMAGE_EXTENSIONS = ["EXT_texture_webp", "KHR_texture_basisu", "KHR_texture_transform"];
+
+// Remove texture references ({ index, texCoord }) anywhere in a material, extensions included
+function stripTextureInfo(value) {
+    Object.keys(value).forEach((key) => {
+        const child = value[key];
+        if (!child || typeof child !== "object") return;
+        if (key.endsWith("Texture") && Number.isInteger(child.index)) {
+            delete value[key];
+        } else {
+            stripTextureInfo(child);
+        }
+    });
+}
+
+/**
+ * Return a copy of the GLB without images, textures or samplers, for the low tier.
+ * Materials keep their factors; the catalog's covers and pages are drawn over them anyway.
+ */
+export function dropTextures(gltf) {
+    const json = structuredClone(gltf.json);
+
+    (json.materials ?? []).forEach(stripTextureInfo);
+    delete json.images;
+    delete json.textures;
+    delete json.samplers;
+
+    ["extensionsUsed", "extensionsRequired"].forEach((field) => {
+        json[field] = (json[field] ?? []).filter((name) => !IMAGE_EXTENSIONS.includes(name));
+        if (!json[field].length) delete json[field];
+    });
+
+    return repack(json, gltf.bin, []);
+}
+
+// Accessor indices a glTF still refers to
+function usedAccessors(json) {
+    const used = new Set();
+    (json.meshes ?? []).forEach((mesh) => mesh.primitives.forEach((primitive) => {
+        Object.values(primitive.attributes).forEach((index) => used.add(index));
+        if (primitive.indices !== undefined) used.add(primitive.indices);
+        (primitive.targets ?? []).forEach((target) => Object.values(target).forEach((index) => used.add(index)));
+    }));
+    (json.animations ?? []).forEach((animation) => animation.samplers.forEach((sampler) => {
+        used.add(sampler.input);
+        used.add(sampler.output);
+    }));
+    (json.skins ?? []).forEach((skin) => {
+        if (skin.inverseBindMatrices !== undefined) used.add(skin.inverseBindMatrices);
+    });
+    return used;
+}
+
+/**
+ * Drop accessors and buffer views nothing refers to any more and write a fresh binary chunk.
+ * DRACO payloads are referred to by negative bufferView numbers (-1 = dracoViews[0]) until here.
+ */
+function repack(json, bin, dracoViews) {
+    const accessorMap = new Map();
+    const accessors = [];
+    [...usedAccessors(json)].sort((a, b) => a - b).forEach((index) => {
+        accessorMap.set(index, accessors.push(json.accessors[index]) - 1);
+    });
+
+    const remapAccessor = (index) => accessorMap.get(index);
+    (json.meshes ?? []).forEach((mesh) => mesh.primitives.forEach((primitive) => {
+        Object.keys(primitive.attributes).forEach((key) => {
+            primitive.attributes[key] = remapAccessor(primitive.attributes[key]);
+        });
+        if (primitive.indices !== undefined) primitive.indices = remapAccessor(primitive.indices);
+        (primitive.targets ?? []).forEach((target) => Object.keys(target).forEach((key) => {
+            target[key] = remapAccessor(target[key]);
+        }));
+    }));
+    (json.animations ?? []).forEach((animation) => animation.samplers.forEach((sampler) => {
+        sampler.input = remapAccessor(sampler.input);
+        sampler.output = remapAccessor(sampler.output);
+    }));
+    (json.skins ?? []).forEach((skin) => {
+        if (skin.inverseBindMatrices !== undefined) skin.inverseBindMatrices = remapAccessor(skin.inverseBindMatrices);
+    });
+    json.accessors = accessors;
+
+    // Every holder of a bufferView number, so they can all be renumbered together
+    const holders = [
+        ...accessors.filter((accessor) => accessor.bufferView !== undefined),
+        ...accessors.filter((accessor) => accessor.sparse).flatMap((accessor) => [accessor.sparse.indices, accessor.sparse.values]),
+        ...(json.images ?? []).filter((image) => image.bufferView !== undefined),
+        ...(json.meshes ?? []).flatMap((mesh) => mesh.primitives)
+            .map((primitive) => primitive.extensions?.[DRACO_EXTENSION])
+            .filter(Boolean),
+    ];
+
+    const chunks = [];
+    let byteLength = 0;
+    const append = (bytes) => {
+        const padding = Buffer.alloc(pad4(byteLength));
+        chunks.push(padding, bytes);
+        byteLength += padding.length;
+        const byteOffset = byteLength;
+        byteLength += bytes.length;
+        return byteOffset;
+    };
+
+    const viewMap = new Map();
+    const bufferViews = [];
+    holders.forEach((holder) => {
+        const old = holder.bufferView;
+        if (!viewMap.has(old)) {
+            let view;
+            if (old < 0) {
+                const bytes = dracoViews[-old - 1];
+                view = { buffer: 0, byteOffset: append(bytes), byteLength: bytes.length };
+            } else {
+                const source = json.bufferViews[old];
+                const bytes = bin.subarray(source.byteOffset ?? 0, (source.byteOffset ?? 0) + source.byteLength);
+                view = { ...source, buffer: 0, byteOffset: append(bytes) };
+            }
+            viewMap.set(old, bufferViews.push(view) - 1);
+        }
+        holder.bufferView = viewMap.get(old);
+    });
+
+    json.bufferViews = bufferViews;
+    if (byteLength) {
+        json.buffers = [{ byteLength }];
+    } else {
+        delete json.buffers;
+    }
+
+    return { json, bin: Buffer.concat(chunks) };
+}
@@ -0,0 +1,182 @@
+import * as THREE from "three";
+
+// Material names in the shared book model, keyed by catalog cover slot
+export const DEFAULT_COVER_MATERIALS = {
+    front: "Front cover 1",
+    spine: "Spine",
+    back: "Back",
+};
+
+// Materials of the open spread: the top leaf on the left and the fixed page on the right
+export const DEFAULT_PAGE_MATERIALS = {
+    left: "Inner 2",
+    right: "Inner 2.002",
+};
+
+// Page textures match the authored 528x720 page images, at 1.5x for legible text
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 1080;
+const PAGE_PADDING = 72;
+const PAGE_BACKGROUND = "#fbf8f1";
+const PAGE_INK = "#1d1b18";
+
+// Every material in a loaded model, by name
+export function collectMaterials(root) {
+    const materials = new Map();
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        const list = Array.isArray(child.material) ? child.material : [child.material];
+        list.forEach((material) => materials.set(material.name, material));
+    });
+    return materials;
+}
+
+// Mirror a map left to right on top of its UV setup (without rotation); doing it twice undoes it
+function flipU(map) {
+    map.repeat.x = -map.repeat.x;
+    map.offset.x = 1 - 2 * map.center.x - map.offset.x;
+}
+
+/**
+ * Replace a material's base colour map, keeping the UV setup glTF gave the original
+ * (glTF textures are not flipped and may use a texture transform or another UV set).
+ * Maps with userData.mirrorU (see createPageTexture) are shown mirrored on top of that.
+ */
+export function replaceMap(material, map, { disposePrevious = true } = {}) {
+    const previous = material.map;
+    if (previous === map) return;
+
+    // Low-tier models have no baked map to go back to
+    if (!map) {
+        if (previous && disposePrevious) previous.dispose();
+        material.map = null;
+        material.needsUpdate = true;
+        return;
+    }
+
+    map.flipY = false;
+    map.colorSpace = THREE.SRGBColorSpace;
+
+    if (previous) {
+        map.wrapS = previous.wrapS;
+        map.wrapT = previous.wrapT;
+        map.channel = previous.channel;
+        map.offset.copy(previous.offset);
+        map.repeat.copy(previous.repeat);
+        map.center.copy(previous.center);
+        map.rotation = previous.rotation;
+        // Back to the model's own setup if the previous map was a mirrored page
+        if (previous.userData.mirrorU) flipU(map);
+        if (disposePrevious) previous.dispose();
+    }
+    if (map.userData.mirrorU) flipU(map);
+
+    material.map = map;
+    material.needsUpdate = true;
+}
+
+/**
+ * Load the catalog's cover images and swap them onto the named materials of a book.
+ * A cover that fails to load leaves the model's own texture in place.
+ * Pass disposePrevious: false when the model's own maps are shared with other books.
+ */
+export function applyCovers(root, bookData, { loader, materialNames = DEFAULT_COVER_MATERIALS, disposePrevious = true }) {
+    const materials = collectMaterials(root);
+
+    return Promise.all(
+        Object.entries(bookData.covers).map(([slot, url]) => {
+            const material = materials.get(materialNames[slot]);
+            if (!material) {
+                console.warn(`${bookData.title}: the model has no "${materialNames[slot]}" material for the ${slot} cover`);
+                return null;
+            }
+
+            return loader
+                .loadAsync(url)
+                .then((map) => replaceMap(material, map, { disposePrevious }))
+                .catch((error) => {
+                    console.warn(`Could not load the ${slot} cover of ${bookData.title}:`, error);
+                });
+        }),
+    );
+}
+
+/**
+ * Build the texture for one catalog page. Image-only pages load as they are;
+ * pages with text are laid out on a canvas, with the image (if any) above the text.
+ * Page images are authored the right way round. Left pages need `mirrored`: they are
+ * the back of the turning leaf, whose UVs run from the spine outwards, so the model
+ * shows them mirrored unless the texture is flipped back.
+ */
+export async function createPageTexture(page, { loader, mirrored = false }) {
+    let texture;
+    if (!page.text && !page.heading) {
+        texture = await loader.loadAsync(page.image);
+    } else {
+        const image = page.image ? (await loader.loadAsync(page.image)).image : null;
+        texture = new THREE.CanvasTexture(drawPage(page, image));
+    }
+
+    texture.userData.mirrorU = mirrored;
+    return texture;
+}
+
+function drawPage({ heading, text }, image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = PAGE_WIDTH;
+    canvas.height = PAGE_HEIGHT;
+
+    const ctx = canvas.getContext("2d");
+    const maxWidth = PAGE_WIDTH - PAGE_PADDING * 2;
+    let y = PAGE_PADDING;
+
+    ctx.fillStyle = PAGE_BACKGROUND;
+    ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+    ctx.fillStyle = PAGE_INK;
+    ctx.textBaseline = "top";
+
+    if (image) {
+        // Fit the image to the text column, using at most half the page
+        const scale = Math.min(maxWidth / image.width, (PAGE_HEIGHT / 2) / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        ctx.drawImage(image, (PAGE_WIDTH - width) / 2, y, width, height);
+        y += height + 40;
+    }
+
+    if (heading) {
+        ctx.font = "bold 44px Georgia, 'Times New Roman', serif";
+        y = drawWrappedText(ctx, heading, PAGE_PADDING, y, maxWidth, 54);
+        y += 28;
+    }
+
+    if (text) {
+        ctx.font = "30px Georgia, 'Times New Roman', serif";
+        drawWrappedText(ctx, text, PAGE_PADDING, y, maxWidth, 44);
+    }
+
+    return canvas;
+}
+
+// Word-wrap text into the column, keeping blank lines as paragraph breaks; returns the next y
+function drawWrappedText(ctx, text, x, y, maxWidth, lineHeight) {
+    text.split("\n").forEach((paragraph) => {
+        let line = "";
+
+        paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                if (y + lineHeight <= PAGE_HEIGHT - PAGE_PADDING) ctx.fillText(line, x, y);
+                y += lineHeight;
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+
+        if (y + lineHeight <= PAGE_HEIGHT - PAGE_PADDING) ctx.fillText(line, x, y);
+        y += lineHeight;
+    });
+
+    return y;
+}
@@ -0,0 +1,258 @@
+// Book catalog loading + validation.
+// The catalog is a static JSON file (see public/books/catalog.json) so new titles
+// can ship without touching any of the scene code.
+
+import { QUALITY_TIERS } from "./quality.js";
+
+export const DEFAULT_CATALOG_URL = "/books/catalog.json";
+
+const DEFAULT_DISPLAY = {
+    scale: 2,
+};
+
+// Images that can be swapped onto the shared base model at load time
+const COVER_SLOTS = ["front", "spine", "back"];
+
+// Decoders a GLB may need on top of DRACO, which is always available
+const COMPRESSION_FORMATS = ["ktx2", "meshopt"];
+
+export class CatalogError extends Error {
+    constructor(message, { source, index, id } = {}) {
+        const where = [source, index !== undefined ? `books[${index}]` : null, id ? `"${id}"` : null]
+            .filter(Boolean)
+            .join(" ");
+        super(where ? `${where}: ${message}` : message);
+        this.name = "CatalogError";
+        this.source = source;
+        this.index = index;
+        this.bookId = id;
+    }
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Fetch the catalog file and return the validated list of books.
+ */
+export async function loadCatalog(url = DEFAULT_CATALOG_URL) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new CatalogError(`could not be fetched (${error.message})`, { source: url });
+    }
+
+    if (!response.ok) {
+        throw new CatalogError(`request failed with status ${response.status}`, { source: url });
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new CatalogError(`is not valid JSON (${error.message})`, { source: url });
+    }
+
+    return parseCatalog(data, url);
+}
+
+/**
+ * Accept either a catalog URL or catalog data that is already in memory.
+ */
+export async function resolveCatalog(catalog = DEFAULT_CATALOG_URL) {
+    if (typeof catalog === "string") return loadCatalog(catalog);
+    return parseCatalog(catalog, "options.catalog");
+}
+
+/**
+ * Validate raw catalog data and normalise each entry.
+ * Throws a CatalogError pointing at the first malformed entry.
+ */
+export function parseCatalog(data, source = "catalog") {
+    const entries = Array.isArray(data) ? data : data?.books;
+    if (!Array.isArray(entries)) {
+        throw new CatalogError('expected an array of books or an object with a "books" array', { source });
+    }
+    if (!entries.length) {
+        throw new CatalogError("contains no books", { source });
+    }
+
+    // A top-level "model" is the base GLB for every book that doesn't name its own "url"
+    const model = Array.isArray(data) ? undefined : parseModels(data.model, "model", { source });
+    // Likewise "compression" for books that don't list their own
+    const compression = Array.isArray(data) ? undefined : parseCompression(data.compression, { source });
+
+    const seenIds = new Set();
+
+    return entries.map((entry, index) => {
+        const book = parseBookEntry(entry, { source, index, model, compression });
+
+        if (seenIds.has(book.id)) {
+            throw new CatalogError("duplicate id", { source, index, id: book.id });
+        }
+        seenIds.add(book.id);
+
+        return book;
+    });
+}
+
+function parseBookEntry(entry, { source, index, model, compression }) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        throw new CatalogError("entry must be an object", { source, index });
+    }
+
+    const { id } = entry;
+    if (!isNonEmptyString(id) || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+        throw new CatalogError('"id" must be a lowercase slug (letters, digits and dashes)', { source, index });
+    }
+
+    const context = { source, index, id };
+
+    ["title", "author"].forEach((field) => {
+        if (!isNonEmptyString(entry[field])) {
+            throw new CatalogError(`"${field}" must be a non-empty string`, context);
+        }
+    });
+
+    const models = parseModels(entry.url, "url", context) ?? model;
+    if (!models) {
+        throw new CatalogError('"url" is required (or set a catalog-level "model")', context);
+    }
+
+    if (entry.blurb !== undefined && typeof entry.blurb !== "string") {
+        throw new CatalogError('"blurb" must be a string', context);
+    }
+
+    if (entry.price !== undefined && typeof entry.price !== "string") {
+        throw new CatalogError('"price" must be a display string such as "£12.99"', context);
+    }
+
+    const covers = parseCovers(entry.covers, context);
+    const pages = parsePages(entry.pages, context);
+    const display = parseDisplay(entry.display, context);
+
+    return {
+        id,
+        title: entry.title,
+        author: entry.author,
+        blurb: entry.blurb ?? "",
+        price: entry.price ?? "",
+        // GLB per quality tier; Texture picks one for the device
+        models,
+        compression: parseCompression(entry.compression, context) ?? compression ?? [],
+        covers,
+        pages,
+        display,
+        // The scene code still refers to books by name in a few places
+        name: entry.title,
+    };
+}
+
+// A single GLB URL, or { low, medium, high } variants (any subset); a plain URL counts as "high"
+function parseModels(value, field, context) {
+    if (value === undefined) return undefined;
+    if (isNonEmptyString(value)) return { high: value };
+
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new CatalogError(`"${field}" must be a GLB URL or an object of ${QUALITY_TIERS.join("/")} URLs`, context);
+    }
+
+    const tiers = Object.keys(value);
+    if (!tiers.length) {
+        throw new CatalogError(`"${field}" needs at least one variant`, context);
+    }
+
+    tiers.forEach((tier) => {
+        if (!QUALITY_TIERS.includes(tier)) {
+            throw new CatalogError(`unknown quality "${tier}" in "${field}" (expected ${QUALITY_TIERS.join(", ")})`, context);
+        }
+        if (!isNonEmptyString(value[tier])) {
+            throw new CatalogError(`"${field}.${tier}" must be a GLB URL`, context);
+        }
+    });
+
+    return { ...value };
+}
+
+function parseCompression(compression, context) {
+    if (compression === undefined) return undefined;
+
+    if (!Array.isArray(compression)) {
+        throw new CatalogError(`"compression" must be an array of ${COMPRESSION_FORMATS.join(", ")}`, context);
+    }
+
+    compression.forEach((format) => {
+        if (!COMPRESSION_FORMATS.includes(format)) {
+            throw new CatalogError(`unknown compression "${format}" (expected ${COMPRESSION_FORMATS.join(", ")})`, context);
+        }
+    });
+
+    return [...new Set(compression)];
+}
+
+function parseCovers(covers, context) {
+    if (covers === undefined) return {};
+
+    if (!covers || typeof covers !== "object" || Array.isArray(covers)) {
+        throw new CatalogError('"covers" must be an object', context);
+    }
+
+    Object.keys(covers).forEach((slot) => {
+        if (!COVER_SLOTS.includes(slot)) {
+            throw new CatalogError(`unknown cover "${slot}" (expected ${COVER_SLOTS.join(", ")})`, context);
+        }
+        if (!isNonEmptyString(covers[slot])) {
+            throw new CatalogError(`"covers.${slot}" must be an image URL`, context);
+        }
+    });
+
+    return { ...covers };
+}
+
+// Excerpt pages shown in the open spread: an image URL, or { heading, text, image } drawn to a canvas.
+// Images are authored the right way round, left pages included (see createPageTexture).
+function parsePages(pages, context) {
+    if (pages === undefined) return [];
+
+    if (!Array.isArray(pages)) {
+        throw new CatalogError('"pages" must be an array', context);
+    }
+
+    return pages.map((page, i) => {
+        if (isNonEmptyString(page)) return { image: page, heading: "", text: "" };
+
+        if (!page || typeof page !== "object" || Array.isArray(page)) {
+            throw new CatalogError(`"pages[${i}]" must be an image URL or an object`, context);
+        }
+
+        ["image", "heading", "text"].forEach((field) => {
+            if (page[field] !== undefined && typeof page[field] !== "string") {
+                throw new CatalogError(`"pages[${i}].${field}" must be a string`, context);
+            }
+        });
+
+        if (!isNonEmptyString(page.image) && !isNonEmptyString(page.text)) {
+            throw new CatalogError(`"pages[${i}]" needs an "image" or some "text"`, context);
+        }
+
+        return { image: page.image ?? "", heading: page.heading ?? "", text: page.text ?? "" };
+    });
+}
+
+function parseDisplay(display, context) {
+    if (display === undefined) return { ...DEFAULT_DISPLAY };
+
+    if (!display || typeof display !== "object" || Array.isArray(display)) {
+        throw new CatalogError('"display" must be an object', context);
+    }
+
+    if (display.scale !== undefined && !(typeof display.scale === "number" && display.scale > 0)) {
+        throw new CatalogError('"display.scale" must be a positive number', context);
+    }
+
+    if (display.coverColor !== undefined && !isNonEmptyString(display.coverColor)) {
+        throw new CatalogError('"display.coverColor" must be a CSS colour string', context);
+    }
+
+    return { ...DEFAULT_DISPLAY, ...display };
+}
@@ -0,0 +1,101 @@
+import * as THREE from "three";
+
+// Gap kept between the panel, the open book and the viewport edges (px)
+const MARGIN = 24;
+
+const corner = new THREE.Vector3();
+const bounds = new THREE.Box3();
+
+// Overlay with the open book's catalog details; Texture animates it in and out
+export class DetailsPanel {
+    constructor(container) {
+        this.element = document.createElement("aside");
+        this.element.className = "book-details";
+        this.element.innerHTML = `
+            <h2 class="book-details__title"></h2>
+            <p class="book-details__author"></p>
+            <p class="book-details__blurb"></p>
+            <p class="book-details__price"></p>
+        `;
+
+        this.title = this.element.querySelector(".book-details__title");
+        this.author = this.element.querySelector(".book-details__author");
+        this.blurb = this.element.querySelector(".book-details__blurb");
+        this.price = this.element.querySelector(".book-details__price");
+
+        container.appendChild(this.element);
+    }
+
+    fill(bookData) {
+        this.title.textContent = bookData.title;
+        this.author.textContent = bookData.author;
+        this.blurb.textContent = bookData.blurb;
+        this.price.textContent = bookData.price ?? "";
+
+        this.blurb.hidden = !bookData.blurb;
+        this.price.hidden = !bookData.price;
+    }
+
+    /**
+     * Move the panel into the largest free area around the object on screen,
+     * preferring the sides so the open spread is never covered.
+     */
+    placeAround(object, camera, width, height) {
+        const rect = projectBounds(object, camera, width, height);
+        const style = this.element.style;
+
+        // Measure at natural size before fitting into an area
+        style.maxWidth = "";
+        style.maxHeight = "";
+
+        const areas = [
+            { side: "right", size: width - rect.right - MARGIN * 2, fits: this.element.offsetWidth },
+            { side: "left", size: rect.left - MARGIN * 2, fits: this.element.offsetWidth },
+            { side: "bottom", size: height - rect.bottom - MARGIN * 2, fits: this.element.offsetHeight },
+            { side: "top", size: rect.top - MARGIN * 2, fits: this.element.offsetHeight },
+        ];
+
+        const area = areas.find((a) => a.size >= a.fits) ?? areas.reduce((a, b) => (b.size > a.size ? b : a));
+
+        if (area.side === "right" || area.side === "left") {
+            const panelWidth = Math.min(this.element.offsetWidth, Math.max(area.size, 0));
+            style.maxWidth = `${Math.max(area.size, 0)}px`;
+            style.left = `${area.side === "right" ? rect.right + MARGIN : rect.left - MARGIN - panelWidth}px`;
+            style.top = `${clamp((rect.top + rect.bottom) / 2 - this.element.offsetHeight / 2, MARGIN, height - this.element.offsetHeight - MARGIN)}px`;
+        } else {
+            style.maxHeight = `${Math.max(area.size, 0)}px`;
+            style.left = `${clamp((rect.left + rect.right) / 2 - this.element.offsetWidth / 2, MARGIN, width - this.element.offsetWidth - MARGIN)}px`;
+            style.top = `${area.side === "bottom" ? rect.bottom + MARGIN : Math.max(rect.top - MARGIN - this.element.offsetHeight, MARGIN)}px`;
+        }
+    }
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(min, max));
+
+// Screen-space rectangle (px) covered by an object's bounding box
+function projectBounds(object, camera, width, height) {
+    bounds.setFromObject(object);
+
+    const rect = { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity };
+    for (let i = 0; i < 8; i++) {
+        corner.set(
+            i & 1 ? bounds.max.x : bounds.min.x,
+            i & 2 ? bounds.max.y : bounds.min.y,
+            i & 4 ? bounds.max.z : bounds.min.z,
+        );
+        corner.project(camera);
+
+        const x = (corner.x + 1) / 2 * width;
+        const y = (1 - corner.y) / 2 * height;
+        rect.left = Math.min(rect.left, x);
+        rect.right = Math.max(rect.right, x);
+        rect.top = Math.min(rect.top, y);
+        rect.bottom = Math.max(rect.bottom, y);
+    }
+
+    rect.left = clamp(rect.left, 0, width);
+    rect.right = clamp(rect.right, 0, width);
+    rect.top = clamp(rect.top, 0, height);
+    rect.bottom = clamp(rect.bottom, 0, height);
+    return rect;
+}
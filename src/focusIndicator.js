@@ -0,0 +1,22 @@
+import * as THREE from "three";
+import { DEFAULT_BOOK_SIZE } from "./placeholderBook.js";
+
+const FOCUS_COLOR = "#1a5cff";
+// How far the outline reaches past the book on every side, relative to its longest edge
+const OUTLINE_MARGIN = 0.06;
+
+/**
+ * Keyboard focus outline for a book (model units, before display.scale): a box a little larger
+ * than the book that only draws its back faces, so it reads as a solid border from any angle.
+ * Add it to the focused book's scene; it is positioned at the book's centre.
+ */
+export function createFocusIndicator(size = DEFAULT_BOOK_SIZE, center = new THREE.Vector3()) {
+    const outline = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 1, 1),
+        new THREE.MeshBasicMaterial({ color: FOCUS_COLOR, side: THREE.BackSide }),
+    );
+    outline.name = "focus-indicator";
+    outline.scale.copy(size).addScalar(Math.max(size.x, size.y, size.z) * OUTLINE_MARGIN * 2);
+    outline.position.copy(center);
+    return outline;
+}
@@ -0,0 +1,109 @@
+import * as THREE from "three";
+
+// How far an open book can be turned each way
+const MAX_YAW = THREE.MathUtils.degToRad(35);
+const MAX_PITCH = THREE.MathUtils.degToRad(20);
+// Radians per dragged pixel
+const DRAG_SPEED = 0.008;
+// Spring back to the reading pose; a little under critical damping, so a flick coasts and settles
+const STIFFNESS = 60;
+const DAMPING = 12;
+// Close enough to the reading pose to stop
+const REST_ANGLE = 0.0005;
+const REST_SPEED = 0.005;
+// Longest spring step, so a slow frame can't throw the book past its limits
+const MAX_STEP = 1 / 120;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const rotatedCenter = new THREE.Vector3();
+
+/**
+ * Drag-to-inspect state for one book. Yaw turns it around the screen's vertical axis and pitch
+ * around the horizontal one, both in radians from the reading pose, with velocities in rad/s.
+ */
+export function createInspectState() {
+    return { yaw: 0, pitch: 0, yawVelocity: 0, pitchVelocity: 0, isDragging: false, drag: null };
+}
+
+export function startDrag(state, clientX, clientY, time) {
+    state.isDragging = true;
+    state.yawVelocity = 0;
+    state.pitchVelocity = 0;
+    state.drag = { x: clientX, y: clientY, yaw: state.yaw, pitch: state.pitch, time };
+}
+
+// Follow the pointer within the limits, keeping a smoothed velocity for when it lets go
+export function dragTo(state, clientX, clientY, time) {
+    const { drag } = state;
+    const yaw = clamp(drag.yaw + (clientX - drag.x) * DRAG_SPEED, -MAX_YAW, MAX_YAW);
+    const pitch = clamp(drag.pitch + (clientY - drag.y) * DRAG_SPEED, -MAX_PITCH, MAX_PITCH);
+
+    const elapsed = Math.max((time - drag.time) / 1000, 1 / 240);
+    state.yawVelocity = (state.yawVelocity + (yaw - state.yaw) / elapsed) / 2;
+    state.pitchVelocity = (state.pitchVelocity + (pitch - state.pitch) / elapsed) / 2;
+
+    state.yaw = yaw;
+    state.pitch = pitch;
+    drag.time = time;
+}
+
+export function endDrag(state) {
+    state.isDragging = false;
+    state.drag = null;
+}
+
+// Straight back to the reading pose, without the spring
+export function resetInspect(state) {
+    endDrag(state);
+    state.yaw = 0;
+    state.pitch = 0;
+    state.yawVelocity = 0;
+    state.pitchVelocity = 0;
+}
+
+// One axis of the spring, stopping dead at the limit
+function stepAxis(state, angleKey, velocityKey, max, dt) {
+    let velocity = state[velocityKey] + (-STIFFNESS * state[angleKey] - DAMPING * state[velocityKey]) * dt;
+    const angle = clamp(state[angleKey] + velocity * dt, -max, max);
+    if (Math.abs(angle) === max) velocity = 0;
+
+    state[angleKey] = angle;
+    state[velocityKey] = velocity;
+}
+
+/**
+ * Let a released book coast on its velocity and spring back to the reading pose.
+ * Returns true while the pose is still changing.
+ */
+export function stepInspect(state, deltaTime) {
+    if (state.isDragging) return false;
+
+    const { yaw, pitch, yawVelocity, pitchVelocity } = state;
+    if (!yaw && !pitch && !yawVelocity && !pitchVelocity) return false;
+
+    const atRest = Math.abs(yaw) < REST_ANGLE && Math.abs(pitch) < REST_ANGLE
+        && Math.abs(yawVelocity) < REST_SPEED && Math.abs(pitchVelocity) < REST_SPEED;
+    if (atRest) {
+        resetInspect(state);
+        return true;
+    }
+
+    for (let remaining = Math.min(deltaTime, 0.1); remaining > 0; remaining -= MAX_STEP) {
+        const dt = Math.min(remaining, MAX_STEP);
+        stepAxis(state, "yaw", "yawVelocity", MAX_YAW, dt);
+        stepAxis(state, "pitch", "pitchVelocity", MAX_PITCH, dt);
+    }
+    return true;
+}
+
+/**
+ * Turn a book's model about its centre (in the model's parent frame) to the inspect pose.
+ * The open timeline only moves the book's wrapper group, so the two never fight. The wrapper
+ * stands the book up (x = 90°), which makes screen-vertical the model's -Z and screen-horizontal its X.
+ */
+export function applyInspectPose(model, center, state) {
+    model.rotation.set(state.pitch, 0, -state.yaw);
+    rotatedCenter.copy(center).applyEuler(model.rotation);
+    model.position.copy(center).sub(rotatedCenter);
+}
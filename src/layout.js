@@ -0,0 +1,137 @@
+// Elliptical scroll layout, generated from the number of books.
+// The original choreography was hand-tuned for four books; those values are kept
+// as keyframes below and sampled for any count. Where the books end up is spread
+// evenly around the same centre: four books span the original extremes, fewer keep
+// the four-book spacing, and more never get closer than one book width apart. A row
+// that ends up wider than the view is panned with the scrollbar (see Texture.updateRowOverflow).
+
+const degToRad = (deg) => deg * (Math.PI / 180);
+
+// One row per hand-tuned book, outermost orbit first (angles are multiples of PI)
+const ORBIT_KEYFRAMES = [
+    { radiusX: 1.3, radiusY: 0.7, start: -1.0, endX: -2.2, endY: -2.14, tilt: -28 },
+    { radiusX: 1.1, radiusY: 0.5, start: -1.2, endX: -2.35, endY: -2.2, tilt: -48 },
+    { radiusX: 0.9, radiusY: 0.4, start: -1.4, endX: -2.5, endY: -2.265, tilt: -68 },
+    { radiusX: 0.7, radiusY: 0.3, start: -1.6, endX: -2.8, endY: -2.45, tilt: -88 },
+];
+
+// Where the hand-tuned orbits end on x, outermost first
+const keyframeEndX = ({ radiusX, endX }) => radiusX * Math.cos(Math.PI * endX);
+const END_FIRST_X = keyframeEndX(ORBIT_KEYFRAMES[0]);
+const END_LAST_X = keyframeEndX(ORBIT_KEYFRAMES[ORBIT_KEYFRAMES.length - 1]);
+const END_CENTER_X = (END_FIRST_X + END_LAST_X) / 2;
+const END_SPACING = (END_FIRST_X - END_LAST_X) / (ORBIT_KEYFRAMES.length - 1);
+
+// Resting row: one unit between books, never wider than the original four-book row
+// unless the books would overlap
+const REST_SPACING = 1;
+const REST_MAX_SPAN = 3;
+const REST_Y = -0.2;
+const REST_Z = 0.25;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Piecewise-linear sample of the keyframe table at t in [0, 1]
+function sampleKeyframes(t) {
+    const last = ORBIT_KEYFRAMES.length - 1;
+    const scaled = Math.min(Math.max(t, 0), 1) * last;
+    const i = Math.min(Math.floor(scaled), last - 1);
+    const local = scaled - i;
+    const a = ORBIT_KEYFRAMES[i];
+    const b = ORBIT_KEYFRAMES[i + 1];
+
+    const sample = {};
+    Object.keys(a).forEach((key) => {
+        sample[key] = lerp(a[key], b[key], local);
+    });
+    return sample;
+}
+
+/**
+ * Build one orbit per book: ellipse radii, start/end angles, the z tilt reached at the
+ * end of the scroll, and the x shift that puts the book on an evenly spaced end row.
+ * `minSpacing` is the closest two books may end up (a book's width, in world units).
+ */
+export function createOrbitConfigs(count, spacingScale = 1, minSpacing = 0) {
+    const spacing = Math.max(END_SPACING * spacingScale, minSpacing);
+
+    return Array.from({ length: count }, (_, i) => {
+        const t = count > 1 ? i / (count - 1) : 0;
+        const { radiusX, radiusY, start, endX, endY, tilt } = sampleKeyframes(t);
+
+        const ellipse = {
+            centerX: 0,
+            centerY: 0,
+            radiusX: radiusX * spacingScale,
+            radiusY,
+        };
+        const angles = {
+            start: Math.PI * start,
+            endX: Math.PI * endX,
+            endY: Math.PI * endY,
+        };
+
+        // Blended in over the scroll, so the start of each orbit is unchanged
+        const targetX = END_CENTER_X * spacingScale + ((count - 1) / 2 - i) * spacing;
+        const endOffsetX = targetX - (ellipse.centerX + ellipse.radiusX * Math.cos(angles.endX));
+
+        return { ellipse, angles, endOffsetX, tilt: degToRad(tilt) };
+    });
+}
+
+/**
+ * Where a book sits on its orbit for a given scroll progress.
+ */
+export function getOrbitPosition(orbit, progress) {
+    const { start, endX, endY } = orbit.angles;
+    const { centerX, centerY, radiusX, radiusY } = orbit.ellipse;
+    const angleX = start + (endX - start) * progress;
+    const angleY = start + (endY - start) * progress;
+
+    return {
+        x: centerX + radiusX * Math.cos(angleX) + orbit.endOffsetX * progress,
+        y: centerY + radiusY * Math.sin(angleY),
+    };
+}
+
+/**
+ * Leftmost and rightmost book centres on x once the scroll has finished.
+ */
+export function getEndRowExtent(orbits) {
+    const xs = orbits.map((orbit) => getOrbitPosition(orbit, 1).x);
+    return { min: Math.min(...xs), max: Math.max(...xs) };
+}
+
+/**
+ * Rotation of a book on its orbit for a given scroll progress.
+ */
+export function getOrbitRotation(orbit, progress) {
+    return {
+        x: progress * degToRad(90),
+        y: 0,
+        z: progress * orbit.tilt,
+    };
+}
+
+/**
+ * Rotation of every book in the reduced-motion row: upright like at the end of the scroll,
+ * without the orbit tilt.
+ */
+export function getRowRotation() {
+    return { x: degToRad(90), y: 0, z: 0 };
+}
+
+/**
+ * Resting positions for the books before the scroll starts, centred on x = 0.
+ */
+export function createRestingPositions(count, spacingScale = 1, minSpacing = 0) {
+    const spacing = count > 1
+        ? Math.max(Math.min(REST_SPACING, REST_MAX_SPAN / (count - 1)) * spacingScale, minSpacing)
+        : 0;
+
+    return Array.from({ length: count }, (_, i) => ({
+        x: (i - (count - 1) / 2) * spacing,
+        y: REST_Y,
+        z: REST_Z,
+    }));
+}
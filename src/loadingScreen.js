@@ -0,0 +1,116 @@
+const STATUS_LABELS = {
+    pending: "Waiting",
+    loading: "Loading",
+    loaded: "Ready",
+    failed: "Failed",
+};
+
+const formatBytes = (bytes) =>
+    bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+/**
+ * Overlay shown while the catalog, decoder and book models download.
+ * Byte progress comes from each GLB request; the LoadingManager item count
+ * covers everything else (DRACO decoder, cover and page images). Books sharing
+ * a model share its request, so byte totals are kept per URL rather than per book.
+ */
+export class LoadingScreen {
+    constructor(container) {
+        this.element = document.createElement("div");
+        this.element.className = "book-loading";
+        this.element.innerHTML = `
+            <div class="book-loading__bar" role="progressbar" aria-label="Loading books" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="book-loading__fill"></div>
+            </div>
+            <p class="book-loading__summary">Loading catalog…</p>
+            <ul class="book-loading__books"></ul>
+        `;
+
+        this.bar = this.element.querySelector(".book-loading__bar");
+        this.fill = this.element.querySelector(".book-loading__fill");
+        this.summary = this.element.querySelector(".book-loading__summary");
+        this.list = this.element.querySelector(".book-loading__books");
+
+        this.books = [];
+        this.downloads = new Map();
+        this.items = { loaded: 0, total: 0 };
+
+        container.appendChild(this.element);
+    }
+
+    setBooks(books) {
+        this.list.innerHTML = "";
+        this.downloads.clear();
+        this.books = books.map((bookData) => {
+            const row = document.createElement("li");
+            row.className = "book-loading__book";
+            row.innerHTML = `<span class="book-loading__title"></span><span class="book-loading__status"></span>`;
+            row.querySelector(".book-loading__title").textContent = bookData.title;
+            this.list.appendChild(row);
+
+            return { row, status: row.querySelector(".book-loading__status"), loaded: 0, total: 0, state: "pending" };
+        });
+
+        this.books.forEach((book, index) => this.setBookStatus(index, "pending"));
+        this.render();
+    }
+
+    setBookBytes(index, url, loaded, total) {
+        const book = this.books[index];
+        if (!book) return;
+
+        this.downloads.set(url, { loaded, total });
+        book.loaded = loaded;
+        book.total = total;
+        if (book.state === "pending") book.state = "loading";
+
+        book.status.textContent = total
+            ? `${Math.round((loaded / total) * 100)}%`
+            : formatBytes(loaded);
+        this.render();
+    }
+
+    setBookStatus(index, state) {
+        const book = this.books[index];
+        if (!book) return;
+
+        book.state = state;
+        book.row.dataset.state = state;
+        book.status.textContent = STATUS_LABELS[state];
+        this.render();
+    }
+
+    setItems(loaded, total) {
+        this.items = { loaded, total };
+        this.render();
+    }
+
+    showError(message) {
+        this.element.dataset.state = "error";
+        this.summary.textContent = message;
+    }
+
+    render() {
+        if (!this.books.length) return;
+
+        // Settled books count as complete; the rest by bytes where the server sent a length
+        const perBook = this.books.map((book) => {
+            if (book.state === "loaded" || book.state === "failed") return 1;
+            return book.total ? Math.min(book.loaded / book.total, 0.99) : 0;
+        });
+        const booksFraction = perBook.reduce((sum, value) => sum + value, 0) / perBook.length;
+        const itemsFraction = this.items.total ? this.items.loaded / this.items.total : 0;
+        const fraction = booksFraction * 0.85 + itemsFraction * 0.15;
+
+        const percent = Math.round(fraction * 100);
+        this.fill.style.transform = `scaleX(${fraction})`;
+        this.bar.setAttribute("aria-valuenow", String(percent));
+
+        const downloads = [...this.downloads.values()];
+        const loadedBytes = downloads.reduce((sum, download) => sum + download.loaded, 0);
+        const totalBytes = downloads.reduce((sum, download) => sum + download.total, 0);
+        this.summary.textContent = totalBytes
+            ? `${formatBytes(loadedBytes)} of ${formatBytes(totalBytes)}`
+            : `Loading ${this.books.length} books…`;
+    }
+}
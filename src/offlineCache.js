@@ -0,0 +1,58 @@
+// Page side of the asset cache; the worker itself is public/book-cache-sw.js.
+
+// FNV-1a, as 8 hex digits
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Version for the asset cache: a hash of the parsed catalog, so any change to it starts a new cache
+export function hashCatalog(books) {
+    return hashString(JSON.stringify(books));
+}
+
+// The page itself and the build's scripts and styles, so it also opens offline
+export function getPageShellUrls() {
+    const urls = [window.location.pathname];
+    document.querySelectorAll("script[src], link[rel='stylesheet'][href], link[rel='modulepreload'][href]")
+        .forEach((element) => {
+            const url = new URL(element.src || element.href, window.location.href);
+            if (url.origin === window.location.origin) urls.push(url.pathname);
+        });
+    return urls;
+}
+
+/**
+ * Register the caching service worker and give it the assets to keep for this version.
+ * `catalog` names whose assets these are (its URL, say): a new version only replaces older
+ * versions of the same catalog, so pages with different catalogs keep their own caches.
+ * `paths` are extra directories it serves from the cache (the decoders), on top of /books/ and /assets/.
+ * Resolves to the registration, or null where service workers aren't available
+ * (older browsers, or pages not served over HTTPS / localhost).
+ */
+export async function enableOfflineCache(scriptUrl, { catalog, version, urls, paths = [] }) {
+    if (!("serviceWorker" in navigator)) return null;
+
+    const workerUrl = new URL(scriptUrl, window.location.href);
+    const pathnames = paths.map((path) => new URL(path, window.location.href).pathname);
+    workerUrl.searchParams.set("paths", [...new Set(pathnames)].join(","));
+
+    const registration = await navigator.serviceWorker.register(workerUrl.pathname + workerUrl.search);
+    const { active } = await navigator.serviceWorker.ready;
+
+    const onMessage = ({ data }) => {
+        if (data?.type !== "assets-cached" || data.version !== version) return;
+        navigator.serviceWorker.removeEventListener("message", onMessage);
+        if (data.failed.length) {
+            console.warn(`Offline cache is missing ${data.failed.length} assets:`, data.failed);
+        }
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+
+    active.postMessage({ type: "cache-assets", namespace: hashString(catalog), version, urls });
+    return registration;
+}
@@ -0,0 +1,146 @@
+import * as THREE from "three";
+import { gsap } from "gsap";
+import { replaceMap } from "./bookTextures.js";
+
+// Keeps the turning leaf just above the page it covers so the two never z-fight
+const LIFT = 0.0004;
+
+const box = new THREE.Box3();
+const center = new THREE.Vector3();
+
+// Transform of `object` in the frame of `root` (the book's gltf.scene)
+function matrixRelativeTo(object, root) {
+    const matrix = new THREE.Matrix4();
+    for (let node = object; node && node !== root; node = node.parent) {
+        node.updateMatrix();
+        matrix.premultiply(node.matrix);
+    }
+    return matrix;
+}
+
+function materialName(mesh) {
+    return Array.isArray(mesh.material) ? mesh.material[0]?.name : mesh.material.name;
+}
+
+/**
+ * Find what a procedural page turn needs in a loaded book: the fixed right page,
+ * the leaves that flip onto the left, their animated pivots and closed rotations.
+ * Returns null when the model doesn't have the expected page materials.
+ */
+export function preparePageTurn(root, clips, { left, right }) {
+    let pageMesh = null;
+    const leafMeshes = [];
+
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        if (materialName(child) === right) pageMesh = child;
+        if (materialName(child) === left) leafMeshes.push(child);
+    });
+
+    if (!pageMesh || !leafMeshes.length) return null;
+
+    const tracks = clips.flatMap((clip) => clip.tracks);
+
+    const leaves = leafMeshes.map((mesh) => {
+        // The animated node is the leaf's top-level ancestor in the book
+        let pivot = mesh;
+        while (pivot.parent && pivot.parent !== root) pivot = pivot.parent;
+
+        // First keyframe of its rotation track = the leaf lying on the right (closed)
+        const track = tracks.find((t) => t.name === `${pivot.name}.quaternion`);
+        const closed = track ? new THREE.Quaternion().fromArray(track.values, 0) : pivot.quaternion.clone();
+
+        return { mesh, pivot, closed };
+    });
+
+    // Half the spread width, measured from the spine (x = 0 in the model)
+    box.setFromBufferAttribute(pageMesh.geometry.attributes.position).applyMatrix4(matrixRelativeTo(pageMesh, root));
+    const pageWidth = Math.max(Math.abs(box.min.x), Math.abs(box.max.x));
+
+    return { root, pageMesh, leaves, pageWidth };
+}
+
+// The leaf currently on top of the left-hand stack
+function topLeaf(turn) {
+    let top = null;
+    let topY = -Infinity;
+
+    turn.leaves.forEach((leaf) => {
+        box.setFromBufferAttribute(leaf.mesh.geometry.attributes.position)
+            .applyMatrix4(matrixRelativeTo(leaf.mesh, turn.root));
+        const y = box.getCenter(center).y;
+        if (y > topY) {
+            topY = y;
+            top = leaf;
+        }
+    });
+
+    return top;
+}
+
+/**
+ * True when a hit point (world space) lies in the outer part of a page, away from the spine.
+ */
+export function isNearPageEdge(turn, worldPoint, fraction = 0.7) {
+    const local = turn.root.worldToLocal(worldPoint.clone());
+    return Math.abs(local.x) >= turn.pageWidth * fraction;
+}
+
+/**
+ * Build a temporary leaf over the open spread and turn it.
+ * `pageMap` is shown on the face that lies on the right, `leafMap` on the face
+ * that lies on the left; `forward` turns right-to-left. `onUpdate` runs on every frame of the turn.
+ * Resolves once the turn has finished and the leaf has been removed.
+ */
+export function turnLeaf(turn, { pageMap, leafMap, forward, duration = 0.8, onUpdate }) {
+    const leaf = topLeaf(turn);
+    const open = leaf.pivot.quaternion.clone();
+
+    const pivot = new THREE.Group();
+    pivot.position.copy(leaf.pivot.position);
+    pivot.position.y += LIFT;
+    pivot.scale.copy(leaf.pivot.scale);
+
+    // Left face: a copy of the top leaf, using the leaf's UVs
+    const leafFace = leaf.mesh.clone();
+    leafFace.material = leaf.mesh.material.clone();
+    replaceMap(leafFace.material, leafMap, { disposePrevious: false });
+    leafFace.matrixAutoUpdate = false;
+    leafFace.matrix.copy(matrixRelativeTo(leaf.mesh, leaf.pivot));
+
+    // Right face: a copy of the right page, placed where it lies relative to the closed pivot
+    const closedPivot = new THREE.Matrix4().compose(leaf.pivot.position, leaf.closed, leaf.pivot.scale);
+    const pageFace = turn.pageMesh.clone();
+    pageFace.material = turn.pageMesh.material.clone();
+    replaceMap(pageFace.material, pageMap, { disposePrevious: false });
+    pageFace.matrixAutoUpdate = false;
+    pageFace.matrix
+        .copy(closedPivot.invert())
+        .multiply(new THREE.Matrix4().makeTranslation(0, LIFT, 0))
+        .multiply(matrixRelativeTo(turn.pageMesh, turn.root));
+
+    pivot.add(leafFace, pageFace);
+    turn.root.add(pivot);
+
+    const from = forward ? leaf.closed : open;
+    const to = forward ? open : leaf.closed;
+    pivot.quaternion.copy(from);
+
+    return new Promise((resolve) => {
+        gsap.to({ t: 0 }, {
+            t: 1,
+            duration,
+            ease: "power2.inOut",
+            onUpdate: function () {
+                pivot.quaternion.slerpQuaternions(from, to, this.targets()[0].t);
+                onUpdate?.();
+            },
+            onComplete: () => {
+                turn.root.remove(pivot);
+                leafFace.material.dispose();
+                pageFace.material.dispose();
+                resolve();
+            },
+        });
+    });
+}
@@ -0,0 +1,34 @@
+// Previous/next buttons and page counter for the open book
+export class PagerControls {
+    constructor(container, { onPrevious, onNext }) {
+        this.element = document.createElement("nav");
+        this.element.className = "book-pager";
+        this.element.setAttribute("aria-label", "Book pages");
+        this.element.innerHTML = `
+            <button type="button" class="book-pager__button" data-step="-1" aria-label="Previous page">&larr;</button>
+            <span class="book-pager__counter"></span>
+            <button type="button" class="book-pager__button" data-step="1" aria-label="Next page">&rarr;</button>
+        `;
+
+        this.previous = this.element.querySelector('[data-step="-1"]');
+        this.next = this.element.querySelector('[data-step="1"]');
+        this.counter = this.element.querySelector(".book-pager__counter");
+
+        this.previous.addEventListener("click", onPrevious);
+        this.next.addEventListener("click", onNext);
+
+        container.appendChild(this.element);
+    }
+
+    update({ spread, spreadCount, pageCount }) {
+        const first = spread * 2 + 1;
+        const last = Math.min(first + 1, pageCount);
+
+        this.counter.textContent = first === last
+            ? `Page ${first} of ${pageCount}`
+            : `Pages ${first}–${last} of ${pageCount}`;
+
+        this.previous.disabled = spread <= 0;
+        this.next.disabled = spread >= spreadCount - 1;
+    }
+}
@@ -0,0 +1,84 @@
+import * as THREE from "three";
+
+// Used when no real model loaded to measure against (model units, before display.scale)
+export const DEFAULT_BOOK_SIZE = new THREE.Vector3(0.15, 0.012, 0.2);
+const DEFAULT_COVER_COLOR = "#d9d4c7";
+
+/**
+ * A plain box standing in for a book whose model could not be loaded.
+ * Lies flat like the real model (+Y is the front cover, -Z the top edge)
+ * and carries the title and author on its cover.
+ */
+export function createPlaceholderBook(bookData, size = DEFAULT_BOOK_SIZE) {
+    const coverColor = bookData.display.coverColor ?? DEFAULT_COVER_COLOR;
+
+    const edge = new THREE.MeshStandardMaterial({ color: 0xf4f1ea, roughness: 0.9 });
+    const back = new THREE.MeshStandardMaterial({ color: coverColor, roughness: 0.7 });
+    const cover = new THREE.MeshStandardMaterial({
+        map: createCoverTexture(bookData, coverColor, size),
+        roughness: 0.7,
+    });
+
+    // BoxGeometry face order: +x, -x, +y, -y, +z, -z
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(size.x, size.y, size.z),
+        [edge, back, cover, back, edge, edge],
+    );
+    mesh.name = `${bookData.id}-placeholder`;
+
+    const root = new THREE.Group();
+    root.add(mesh);
+    return root;
+}
+
+/**
+ * Untextured box in the book's cover colour, shown while its model is still loading.
+ */
+export function createProxyBook(bookData, size = DEFAULT_BOOK_SIZE) {
+    const material = new THREE.MeshStandardMaterial({
+        color: bookData.display.coverColor ?? DEFAULT_COVER_COLOR,
+        roughness: 0.8,
+    });
+
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), material);
+    mesh.name = `${bookData.id}-proxy`;
+
+    const root = new THREE.Group();
+    root.add(mesh);
+    return root;
+}
+
+// Free what createPlaceholderBook / createProxyBook allocated
+export function disposeStandIn(root) {
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        child.geometry.dispose();
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => {
+            material.map?.dispose();
+            material.dispose();
+        });
+    });
+}
+
+function createCoverTexture({ title, author }, coverColor, size) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 512;
+    canvas.height = Math.round(512 * (size.z / size.x));
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = coverColor;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = "#1d1b18";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "bold 56px Georgia, 'Times New Roman', serif";
+    ctx.fillText(title, canvas.width / 2, canvas.height * 0.4, canvas.width * 0.85);
+    ctx.font = "32px Georgia, 'Times New Roman', serif";
+    ctx.fillText(author, canvas.width / 2, canvas.height * 0.4 + 72, canvas.width * 0.85);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
@@ -0,0 +1,109 @@
+import * as THREE from "three";
+
+// Lowest to highest; catalog model variants are keyed by these
+export const QUALITY_TIERS = ["low", "medium", "high"];
+
+// Device pixel ratio cap per tier
+const MAX_PIXEL_RATIO = {
+    low: 1,
+    medium: 1.5,
+    high: 2,
+};
+
+// Time for BENCHMARK_FRAMES of the benchmark shader; rough, but separates phones from desktops
+const BENCHMARK_FRAMES = 10;
+const BENCHMARK_SIZE = 256;
+const BENCHMARK_THRESHOLDS = { high: 12, medium: 40 };
+
+const lowest = (tiers) => QUALITY_TIERS[Math.min(...tiers.map((tier) => QUALITY_TIERS.indexOf(tier)))];
+
+/**
+ * Pick a quality tier from what the browser reports about the device and network,
+ * and from a short GPU benchmark. The weakest signal wins.
+ */
+export function detectQualityTier(renderer) {
+    const tiers = ["high"];
+
+    const connection = navigator.connection;
+    if (connection?.saveData) tiers.push("low");
+    if (/(^|-)2g$/.test(connection?.effectiveType ?? "")) tiers.push("low");
+    if (connection?.effectiveType === "3g") tiers.push("medium");
+
+    // Chromium only; reported in GB, rounded down to a power of two
+    const memory = navigator.deviceMemory;
+    if (memory !== undefined) tiers.push(memory <= 2 ? "low" : memory <= 4 ? "medium" : "high");
+
+    const cores = navigator.hardwareConcurrency;
+    if (cores) tiers.push(cores <= 2 ? "low" : cores <= 4 ? "medium" : "high");
+
+    tiers.push(measureGpuTier(renderer));
+
+    return lowest(tiers);
+}
+
+// Software renderers are always low; otherwise time a fragment-heavy pass into a small target
+function measureGpuTier(renderer) {
+    const gl = renderer.getContext();
+    const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+    const name = gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER) ?? "";
+    if (/swiftshader|llvmpipe|software/i.test(name)) return "low";
+
+    const target = new THREE.WebGLRenderTarget(BENCHMARK_SIZE, BENCHMARK_SIZE);
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const scene = new THREE.Scene();
+    const quad = new THREE.Mesh(
+        new THREE.PlaneGeometry(2, 2),
+        new THREE.ShaderMaterial({
+            vertexShader: "void main() { gl_Position = vec4(position.xy, 0.0, 1.0); }",
+            fragmentShader: `
+                void main() {
+                    vec2 p = gl_FragCoord.xy / ${BENCHMARK_SIZE}.0;
+                    float v = 0.0;
+                    for (int i = 0; i < 64; i++) {
+                        v += sin(p.x * float(i) + v) * cos(p.y * float(i) - v);
+                    }
+                    gl_FragColor = vec4(vec3(fract(v)), 1.0);
+                }
+            `,
+        }),
+    );
+    scene.add(quad);
+
+    const pixel = new Uint8Array(4);
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+
+    // The first frame compiles the shader, so it is not timed; reading a pixel waits for the GPU
+    renderer.render(scene, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, 1, 1, pixel);
+
+    const start = performance.now();
+    for (let i = 0; i < BENCHMARK_FRAMES; i++) renderer.render(scene, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, 1, 1, pixel);
+    const elapsed = performance.now() - start;
+
+    renderer.setRenderTarget(previousTarget);
+    target.dispose();
+    quad.geometry.dispose();
+    quad.material.dispose();
+
+    if (elapsed <= BENCHMARK_THRESHOLDS.high) return "high";
+    if (elapsed <= BENCHMARK_THRESHOLDS.medium) return "medium";
+    return "low";
+}
+
+/**
+ * The model URL for a tier: that variant if the catalog has it, else the nearest lower one,
+ * else the nearest higher one.
+ */
+export function pickModelVariant(models, tier) {
+    const index = QUALITY_TIERS.indexOf(tier);
+    const lower = QUALITY_TIERS.slice(0, index + 1).reverse();
+    const higher = QUALITY_TIERS.slice(index + 1);
+    const match = [...lower, ...higher].find((candidate) => models[candidate]);
+    return models[match];
+}
+
+export function getMaxPixelRatio(tier) {
+    return MAX_PIXEL_RATIO[tier];
+}
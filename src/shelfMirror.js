@@ -0,0 +1,69 @@
+const STATE_LABELS = {
+    loading: "loading",
+    failed: "unavailable",
+    open: "open",
+};
+
+// Hidden button list mirroring the shelf for screen readers, plus a live region for announcements
+export class ShelfMirror {
+    constructor(container, { onSelect }) {
+        this.element = document.createElement("section");
+        this.element.className = "book-mirror";
+        this.element.setAttribute("aria-label", "Books");
+        this.element.innerHTML = `
+            <ul class="book-mirror__books"></ul>
+            <p class="book-mirror__status" role="status" aria-live="polite"></p>
+        `;
+
+        this.list = this.element.querySelector(".book-mirror__books");
+        this.status = this.element.querySelector(".book-mirror__status");
+
+        // Buttons by book id
+        this.buttons = new Map();
+
+        this.list.addEventListener("click", (event) => {
+            const button = event.target.closest("button[data-id]");
+            if (button && button.getAttribute("aria-disabled") !== "true") onSelect(button.dataset.id);
+        });
+
+        container.appendChild(this.element);
+    }
+
+    setBooks(books) {
+        this.list.innerHTML = "";
+        this.buttons.clear();
+
+        books.forEach((bookData) => {
+            const row = document.createElement("li");
+            row.innerHTML = `<button type="button" class="book-mirror__book" aria-expanded="false"><span class="book-mirror__name"></span><span class="book-mirror__state"></span></button>`;
+
+            const button = row.querySelector("button");
+            button.dataset.id = bookData.id;
+            button.querySelector(".book-mirror__name").textContent = `${bookData.title} by ${bookData.author}`;
+
+            this.list.appendChild(row);
+            this.buttons.set(bookData.id, button);
+            this.setBookState(bookData.id, "loading");
+        });
+    }
+
+    // "loading", "loaded", "failed" or "open"
+    setBookState(id, state) {
+        const button = this.buttons.get(id);
+        if (!button) return;
+
+        button.setAttribute("aria-expanded", String(state === "open"));
+        button.setAttribute("aria-disabled", String(state === "failed"));
+        button.querySelector(".book-mirror__state").textContent = STATE_LABELS[state] ? ` (${STATE_LABELS[state]})` : "";
+    }
+
+    removeBook(id) {
+        this.buttons.get(id)?.closest("li").remove();
+        this.buttons.delete(id);
+    }
+
+    // Read out by screen readers without moving focus
+    announce(message) {
+        this.status.textContent = message;
+    }
+}
@@ -0,0 +1,2362 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
+import { gsap } from "gsap";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+import {Draggable} from "gsap/Draggable";
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { DEFAULT_CATALOG_URL, resolveCatalog } from "./catalog.js";
+import {
+    applyCovers,
+    collectMaterials,
+    createPageTexture,
+    DEFAULT_COVER_MATERIALS,
+    DEFAULT_PAGE_MATERIALS,
+    replaceMap,
+} from "./bookTextures.js";
+import { DetailsPanel } from "./detailsPanel.js";
+import { createFocusIndicator } from "./focusIndicator.js";
+import { applyInspectPose, createInspectState, dragTo, endDrag, resetInspect, startDrag, stepInspect } from "./inspect.js";
+import { LoadingScreen } from "./loadingScreen.js";
+import { enableOfflineCache, getPageShellUrls, hashCatalog } from "./offlineCache.js";
+import { ShelfMirror } from "./shelfMirror.js";
+import { createPlaceholderBook, createProxyBook, DEFAULT_BOOK_SIZE, disposeStandIn } from "./placeholderBook.js";
+import { isNearPageEdge, preparePageTurn, turnLeaf } from "./pageTurn.js";
+import { PagerControls } from "./pager.js";
+import { detectQualityTier, getMaxPixelRatio, pickModelVariant, QUALITY_TIERS } from "./quality.js";
+import {
+    createOrbitConfigs,
+    createRestingPositions,
+    getEndRowExtent,
+    getOrbitPosition,
+    getOrbitRotation,
+    getRowRotation,
+} from "./layout.js";
+
+gsap.registerPlugin(ScrollTrigger, Draggable);
+
+export const DEFAULT_OPTIONS = {
+    // Catalog URL, or an array / { books } object already in memory
+    catalog: DEFAULT_CATALOG_URL,
+    // ScrollTrigger "end" for the pinned section
+    scrollLength: "+=300%",
+    // Show ScrollTrigger debug markers
+    markers: false,
+    // Fraction of the book animation played when a book is opened / hovered
+    openFraction: 0.9,
+    hoverFraction: 0.1,
+    dracoPath: "/draco/",
+    // Basis transcoder for KTX2 textures, fetched only once a book or image needs it
+    ktx2Path: "/basis/",
+    // "auto" picks low/medium/high from the device, network and a GPU benchmark; or force one of those
+    quality: "auto",
+    // Material names that receive the catalog's front/spine/back cover images
+    coverMaterials: DEFAULT_COVER_MATERIALS,
+    // Material names of the left and right pages of the open spread
+    pageMaterials: DEFAULT_PAGE_MATERIALS,
+    // Extra attempts for a book model that fails to load, waiting retryDelay ms and doubling each time
+    retries: 2,
+    retryDelay: 500,
+    // What a book that still fails becomes: "placeholder" (a plain titled book) or "remove"
+    missingBooks: "placeholder",
+    // URL of the asset-caching service worker (public/book-cache-sw.js), or false to not register one
+    serviceWorker: false,
+    // Show the built-in loading overlay (turn off when the host page has its own)
+    loadingScreen: true,
+    // Query param that mirrors the open book's id in the URL (false to disable)
+    deepLink: false,
+    // Calm layout without the orbit choreography or scroll hijacking: true, false,
+    // or "auto" to follow the prefers-reduced-motion setting
+    reducedMotion: "auto",
+    // Mobile scrollbar, looked up inside the container
+    scrollbarWrapper: ".scrollbar-wrapper",
+    scrollbar: ".scrollbar",
+};
+
+// Event types dispatched by Texture (listen with addEventListener)
+export const TextureEvents = {
+    BOOK_LOADED: "bookloaded",
+    ALL_LOADED: "allbooksloaded",
+    LOAD_ERROR: "loaderror",
+    HOVER_START: "hoverstart",
+    HOVER_END: "hoverend",
+    OPEN_START: "openstart",
+    OPENED: "opened",
+    CLOSE_START: "closestart",
+    CLOSED: "closed",
+    PROGRESS: "progress",
+    PAGE_CHANGE: "pagechange",
+    FOCUS: "bookfocus",
+};
+
+// A press stays a tap while it moves less than TAP_SLOP px; a touch held for LONG_PRESS_DELAY ms peeks
+const TAP_SLOP = 10;
+const LONG_PRESS_DELAY = 450;
+// Scroll speed (px/s) above which a touch is taken as stopping a fling rather than a tap
+const FLING_VELOCITY = 50;
+
+// Space between neighbouring books, as a multiple of a book's footprint
+const BOOK_GAP = 1.15;
+
+const CAMERA_FOV = 75;
+const CAMERA_Z = 1;
+
+// Seconds for each fade that replaces movement in reduced-motion mode
+const REDUCED_MOTION_FADE = 0.25;
+
+// Dispose every geometry, material and texture under root
+function disposeTree(root, dispose) {
+    root.traverse((child) => {
+        dispose(child.geometry);
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => {
+            if (!material) return;
+            Object.values(material).forEach((value) => value?.isTexture && dispose(value));
+            dispose(material);
+        });
+    });
+}
+
+const isKTX2 = (url) => /\.ktx2($|[?#])/i.test(url);
+
+const resolveElement = (target, root = document) =>
+    typeof target === "string" ? root.querySelector(target) : target;
+
+export class Texture extends THREE.EventDispatcher {
+    constructor(container, options = {}) {
+        super();
+
+        this.container = resolveElement(container);
+        if (!this.container) {
+            throw new Error(`Texture: mount element ${container} not found`);
+        }
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        if (this.options.quality !== "auto" && !QUALITY_TIERS.includes(this.options.quality)) {
+            throw new Error(`Texture: unknown quality "${this.options.quality}" (expected auto, ${QUALITY_TIERS.join(", ")})`);
+        }
+
+        this.scene = new THREE.Scene();
+        this.clock = new THREE.Clock();
+
+        this.bookInstances = [];
+        this.clickableObjects = [];
+        this.targetX = 0
+
+        // Create a group to hold all books
+        this.booksGroup = new THREE.Group();
+        this.scene.add(this.booksGroup);
+
+        // Filled from the catalog before loadBooks() runs
+        this.books = [];
+
+        this.scrollTrigger = null;
+        this.isClosingFromScroll = false;
+        // The running scroll-back close (book transition, then the scroll tween) and scrollToProgress() tween
+        this.autoCloseTween = null;
+        this.scrollTween = null;
+        this.bookClosePromise = null;
+        this.lastCalculatedPositions = [];
+
+        this.baseWidth = 1280;
+
+
+        // 90% for full open, 10% for hover by default
+        this.clickPlayPercentage = this.options.openFraction;
+        this.hoverPlayPercentage = this.options.hoverFraction;
+
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        this.currentHoveredIndex = -1;
+        this.canInteract = false;
+        // The pointer currently pressed on the canvas (see onCanvasPointerDown)
+        this.press = null;
+
+        // Keyboard focus (see addKeyboardListeners); the outline only shows while the keyboard is in use
+        this.focusedBook = null;
+        this.focusIndicator = null;
+        this.isFocusVisible = false;
+
+        // Book whose details are showing; the panel follows it on screen while set
+        this.detailsBook = null;
+
+        // Frames are only drawn on request (see requestRender), and not at all while the canvas is offscreen
+        this.frameId = null;
+        this.isOnScreen = true;
+
+        // Size and centre of the book model (model units), measured from the first one to load
+        this.bookBounds = null;
+        this.hasStarted = false;
+
+        // Resolves once the first book has loaded and the ScrollTrigger exists
+        this.ready = new Promise((resolve) => {
+            this.resolveReady = resolve;
+        });
+
+        this.isDestroyed = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setUpSizes();
+        this.initCamera();
+        this.initLights();
+        this.createRenderer();
+        this.setUpQuality();
+        this.loadingScreen = this.options.loadingScreen ? new LoadingScreen(this.container) : null;
+        this.detailsPanel = new DetailsPanel(this.container);
+        this.pager = new PagerControls(this.container, {
+            onPrevious: () => this.previousPage(),
+            onNext: () => this.nextPage(),
+        });
+        this.setUpShelfMirror();
+        this.setUpReducedMotion();
+        this.addResizeListener();
+
+        resolveCatalog(this.options.catalog)
+            .then((books) => {
+                if (this.isDestroyed) return;
+                this.books = books;
+                this.updateLayout();
+                this.loadingScreen?.setBooks(books);
+                this.shelfMirror.setBooks(books);
+                this.shelfMirror.announce(`Loading ${books.length} books`);
+                books.forEach((bookData, index) => this.addBookInstance(bookData, index));
+                this.loadBooks();
+                this.setUpOfflineCache(books);
+            })
+            .catch((error) => {
+                if (this.isDestroyed) return;
+                console.error("Could not load the book catalog:", error);
+                this.loadingScreen?.showError("The book catalog could not be loaded.");
+                this.shelfMirror.announce("The book catalog could not be loaded.");
+                this.dispatchEvent({ type: TextureEvents.LOAD_ERROR, index: -1, id: null, book: null, error });
+            });
+    }
+
+    setUpSizes() {
+        this.sizes = {
+            width: window.innerWidth,
+            height: window.innerHeight,
+        };
+        this.aspectRatio = this.sizes.width / this.sizes.height;
+
+
+        // The factor should not exceed 1.0 (so if user gets a very large screen, the gap remains at intended “maximum”).
+        this.bookSpacingScale = Math.min(1, Math.max(this.sizes.width / this.baseWidth, 0.6));
+        console.log(this.bookSpacingScale);
+
+        this.updateLayout();
+    }
+
+    // Orbits and resting positions depend on the book count, bookSpacingScale and how big the books are
+    updateLayout() {
+        const minSpacing = this.getBookFootprint() * BOOK_GAP;
+        this.orbitConfigs = createOrbitConfigs(this.books.length, this.bookSpacingScale, minSpacing);
+        this.finalPositions = createRestingPositions(this.books.length, this.bookSpacingScale, minSpacing);
+        this.updateRowOverflow();
+    }
+
+    // Half the width the camera sees at depth z
+    getVisibleHalfWidth(z) {
+        return Math.tan(THREE.MathUtils.degToRad(CAMERA_FOV / 2)) * (CAMERA_Z - z) * this.aspectRatio;
+    }
+
+    // How much wider the finished row is than the view. Anything over is panned with the
+    // scrollbar, which is then shown at every width rather than only on small screens.
+    updateRowOverflow() {
+        const wasOverflowing = this.rowOverflow > 0;
+
+        if (this.books.length) {
+            const { min, max } = getEndRowExtent(this.orbitConfigs);
+            const halfFootprint = this.getBookFootprint() / 2;
+            this.rowBounds = { min: min - halfFootprint, max: max + halfFootprint };
+            this.rowOverflow = Math.max(
+                0,
+                this.rowBounds.max - this.rowBounds.min - 2 * this.getVisibleHalfWidth(this.finalPositions[0].z),
+            );
+        } else {
+            this.rowBounds = null;
+            this.rowOverflow = 0;
+        }
+
+        const isOverflowing = this.rowOverflow > 0;
+        this.scrollbarWrapper?.classList.toggle("scrollbar-wrapper--overflow", isOverflowing);
+
+        // The pan belongs to the old layout
+        if (this.scrollbarDraggable && isOverflowing !== wasOverflowing) {
+            gsap.set(this.scrollbarDraggable.target, { x: 0 });
+            this.scrollbarDraggable.update();
+            this.booksGroup.position.x = 0;
+        }
+    }
+
+    // Widest a book gets on screen: its longer side (the orbit tilts books up to 90°) at the largest scale
+    getBookFootprint() {
+        const size = this.bookBounds?.size ?? DEFAULT_BOOK_SIZE;
+        const scale = Math.max(1, ...this.books.map((bookData) => bookData.display.scale));
+        return Math.max(size.x, size.z) * scale;
+    }
+
+
+    loadBooks() {
+        // One manager for every request (models, decoders, cover and page images)
+        this.loadingManager = new THREE.LoadingManager();
+        this.loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
+            this.loadingScreen?.setItems(itemsLoaded, itemsTotal);
+        };
+
+        this.dracoLoader = new DRACOLoader(this.loadingManager)
+        this.dracoLoader.setDecoderPath(this.options.dracoPath)
+
+        this.gltfLoaders = new Map();
+        // Parsed models by URL; books sharing a model each get a clone (see cloneModel)
+        this.modelCache = new Map();
+        this.textureLoader = new THREE.TextureLoader(this.loadingManager);
+
+        // Cover and page images; .ktx2 files go through the Basis transcoder
+        this.imageLoader = {
+            loadAsync: (url) => (isKTX2(url) ? this.getKTX2Loader() : this.textureLoader).loadAsync(url),
+        };
+
+        // Copied, since failed books may be removed from this.books while others load
+        const books = [...this.books];
+
+        let settledCount = 0;
+        const onBookSettled = () => {
+            settledCount++;
+            if (settledCount === books.length && !this.isDestroyed) this.onAllBooksLoaded();
+        };
+
+        // Books are looked up by catalog entry, as removing a failed one shifts the indices
+        const findBook = (bookData) => this.bookInstances.find((book) => book.data === bookData);
+
+        books.forEach((bookData, index) => {
+            this.loadBookModel(bookData, index)
+                .then((gltf) => {
+                    // Loads still in flight when the scene is destroyed are dropped
+                    if (this.isDestroyed) return undefined;
+
+                    // Swap in the catalog's cover images before the book is shown
+                    return applyCovers(gltf.scene, bookData, {
+                        loader: this.imageLoader,
+                        materialNames: this.options.coverMaterials,
+                        // The model's own cover maps are shared with the other clones
+                        disposePrevious: false,
+                    }).then(() => {
+                        if (this.isDestroyed) return;
+                        this.loadingScreen?.setBookStatus(index, "loaded");
+                        this.onBookModelLoaded(findBook(bookData), gltf);
+                    });
+                })
+                .catch((error) => {
+                    if (this.isDestroyed) return;
+                    console.error(`Error loading ${bookData.name}:`, error);
+                    this.loadingScreen?.setBookStatus(index, "failed");
+                    this.dispatchEvent({
+                        type: TextureEvents.LOAD_ERROR,
+                        index,
+                        id: bookData.id,
+                        book: bookData,
+                        error,
+                        attempts: this.options.retries + 1,
+                        fallback: this.options.missingBooks,
+                    });
+                    this.onBookFailed(findBook(bookData));
+                })
+                .finally(onBookSettled);
+        });
+    }
+
+    /**
+     * A GLTFLoader for the decoders a book lists in its catalog "compression" (DRACO is always set).
+     * One per combination, so the KTX2 transcoder and meshopt decoder only load for books that use them.
+     */
+    getGltfLoader(compression) {
+        const key = [...compression].sort().join("+");
+
+        if (!this.gltfLoaders.has(key)) {
+            const loader = new GLTFLoader(this.loadingManager);
+            loader.setDRACOLoader(this.dracoLoader);
+            if (compression.includes("ktx2")) loader.setKTX2Loader(this.getKTX2Loader());
+
+            const ready = compression.includes("meshopt")
+                ? import("three/examples/jsm/libs/meshopt_decoder.module.js").then(async ({ MeshoptDecoder }) => {
+                    await MeshoptDecoder.ready;
+                    return loader.setMeshoptDecoder(MeshoptDecoder);
+                })
+                : Promise.resolve(loader);
+
+            this.gltfLoaders.set(key, ready);
+        }
+
+        return this.gltfLoaders.get(key);
+    }
+
+    // Shared by GLB textures and .ktx2 cover/page images; the transcoder is fetched on first use
+    getKTX2Loader() {
+        if (!this.ktx2Loader) {
+            this.ktx2Loader = new KTX2Loader(this.loadingManager)
+                .setTranscoderPath(this.options.ktx2Path)
+                .detectSupport(this.renderer);
+        }
+        return this.ktx2Loader;
+    }
+
+    // Hand the service worker everything this catalog needs at the current quality tier
+    setUpOfflineCache(books) {
+        if (!this.options.serviceWorker) return;
+
+        const { catalog, dracoPath } = this.options;
+        const urls = new Set([
+            ...getPageShellUrls(),
+            `${dracoPath}draco_wasm_wrapper.js`,
+            `${dracoPath}draco_decoder.wasm`,
+        ]);
+        if (typeof catalog === "string") urls.add(catalog);
+
+        books.forEach((bookData) => {
+            urls.add(pickModelVariant(bookData.models, this.qualityTier));
+            Object.values(bookData.covers).forEach((url) => urls.add(url));
+            bookData.pages.forEach((page) => page.image && urls.add(page.image));
+        });
+
+        if (books.some((bookData) => bookData.compression.includes("ktx2")) || [...urls].some(isKTX2)) {
+            urls.add(`${this.options.ktx2Path}basis_transcoder.js`);
+            urls.add(`${this.options.ktx2Path}basis_transcoder.wasm`);
+        }
+
+        // An inline catalog is named by its books. Not keyed by quality tier: a device whose
+        // tier changes between visits just adds the other model to the same cache
+        enableOfflineCache(this.options.serviceWorker, {
+            catalog: typeof catalog === "string"
+                ? new URL(catalog, window.location.href).href
+                : books.map((bookData) => bookData.id).join(","),
+            version: hashCatalog(books),
+            urls: [...urls],
+            paths: [dracoPath, this.options.ktx2Path],
+        }).catch((error) => {
+            console.warn("Could not set up the offline cache:", error);
+        });
+    }
+
+    // Load a book's GLB, retrying with exponential backoff before giving up
+    loadBookModel(bookData, index) {
+        const { retries, retryDelay } = this.options;
+
+        const url = pickModelVariant(bookData.models, this.qualityTier);
+
+        const onProgress = (event) => {
+            this.loadingScreen?.setBookBytes(index, url, event.loaded, event.lengthComputable ? event.total : 0);
+        };
+
+        const attempt = (loader, n) =>
+            this.loadModel(url, loader, onProgress)
+                .catch((error) => {
+                    if (n >= retries || this.isDestroyed) throw error;
+
+                    const delay = retryDelay * 2 ** n;
+                    console.warn(`Retrying ${bookData.name} in ${delay}ms (attempt ${n + 2} of ${retries + 1})`);
+                    return new Promise((resolve) => setTimeout(resolve, delay)).then(() => attempt(loader, n + 1));
+                });
+
+        return this.getGltfLoader(bookData.compression).then((loader) => attempt(loader, 0));
+    }
+
+    // One request and parse per URL, however many books use the model
+    loadModel(url, loader, onProgress) {
+        let entry = this.modelCache.get(url);
+
+        if (!entry) {
+            const listeners = new Set();
+            entry = {
+                listeners,
+                promise: loader.loadAsync(url, (event) => listeners.forEach((listener) => listener(event))),
+            };
+            // A failed load is forgotten so a retry requests it again
+            entry.promise.catch(() => {
+                if (this.modelCache.get(url) === entry) this.modelCache.delete(url);
+            });
+            this.modelCache.set(url, entry);
+        }
+
+        entry.listeners.add(onProgress);
+        return entry.promise
+            .then((gltf) => this.cloneModel(gltf))
+            .finally(() => entry.listeners.delete(onProgress));
+    }
+
+    /**
+     * A copy of a cached model for one book. Geometry (the page block included), textures and
+     * most materials stay shared; the cover and page materials are copied, as those get
+     * per-book maps. The cached scene itself is never shown, so every book gets a clone.
+     */
+    cloneModel(gltf) {
+        const scene = gltf.scene.clone();
+
+        const perBook = new Set([
+            ...Object.values(this.options.coverMaterials),
+            ...Object.values(this.options.pageMaterials),
+        ]);
+        const copies = new Map();
+        const copy = (material) => {
+            if (!perBook.has(material.name)) return material;
+            if (!copies.has(material)) copies.set(material, material.clone());
+            return copies.get(material);
+        };
+
+        scene.traverse((child) => {
+            if (!child.isMesh) return;
+            child.material = Array.isArray(child.material) ? child.material.map(copy) : copy(child.material);
+        });
+
+        return { ...gltf, scene };
+    }
+
+    /**
+     * Current renderer.info counts: GPU geometries and textures, shader programs,
+     * and draw calls / triangles of the last frame.
+     */
+    getRenderStats() {
+        const { memory, render, programs } = this.renderer.info;
+        return {
+            geometries: memory.geometries,
+            textures: memory.textures,
+            programs: programs?.length ?? 0,
+            calls: render.calls,
+            triangles: render.triangles,
+        };
+    }
+
+    /**
+     * An empty slot for a catalog book. Its content starts as a proxy box (once the
+     * shelf is showing) and is swapped for the model, or a placeholder, when that settles.
+     * The slot's group keeps its transform throughout, so the swap never moves the book.
+     */
+    addBookInstance(bookData, index) {
+        const bookScene = new THREE.Group();
+        bookScene.scale.setScalar(bookData.display.scale);
+
+        // Position initially
+        const { x, y, z } = this.finalPositions[index];
+        bookScene.position.set(x, y, z);
+
+        bookScene.userData.bookIndex = index;
+
+        let settle;
+        const settled = new Promise((resolve) => {
+            settle = resolve;
+        });
+
+        const bookInstance = {
+            scene: bookScene,
+            // The loaded gltf.scene, proxy or placeholder inside `scene`
+            model: null,
+            mixer: null,
+            id: bookData.id,
+            name: bookData.name,
+            data: bookData,
+            index,
+            // "loading" until the model arrives, then "loaded" or "failed"
+            status: "loading",
+            settled,
+            settle,
+            animationActions: [],
+            isOpen: false,
+            isClickPlaying: false,
+            isHoverPlaying: false,
+
+            originalPosition: { x, y, z },
+            originalRotation: {
+                x: bookScene.rotation.x,
+                y: bookScene.rotation.y,
+                z: bookScene.rotation.z,
+            },
+
+            openTimeline: null,
+            closeTimeline: null,
+            // Open/close in flight: done once both the timeline and the mixer finish
+            transition: null,
+
+            // Catalog pages are drawn onto these materials; the baked maps are kept for books without pages
+            pageMaterials: {},
+            bakedPageMaps: {},
+            pageTextures: [],
+            currentSpread: 0,
+            isTurningPage: false,
+            pageTurn: null,
+
+            // Drag-to-rotate while open (see inspect.js)
+            inspect: createInspectState(),
+        };
+
+        // Add each book to the booksGroup instead of directly to scene
+        this.booksGroup.add(bookScene);
+        this.bookInstances[index] = bookInstance;
+
+        return bookInstance;
+    }
+
+    onBookModelLoaded(book, gltf) {
+        if (!this.bookBounds) {
+            const box = new THREE.Box3().setFromObject(gltf.scene);
+            this.bookBounds = {
+                size: box.getSize(new THREE.Vector3()),
+                center: box.getCenter(new THREE.Vector3()),
+            };
+
+            // The layout so far assumed DEFAULT_BOOK_SIZE
+            this.updateLayout();
+            this.bookInstances.forEach((other, index) => {
+                const { x, y, z } = this.finalPositions[index];
+                other.originalPosition = { x, y, z };
+                if (!this.scrollTrigger) other.scene.position.set(x, y, z);
+            });
+        }
+
+        this.attachModel(book, gltf);
+        if (!this.hasStarted) this.startScene();
+    }
+
+    onBookFailed(book) {
+        book.status = "failed";
+
+        if (this.options.missingBooks === "remove") {
+            this.removeBook(book);
+        } else if (this.hasStarted) {
+            this.attachPlaceholder(book);
+        }
+
+        book.settle();
+    }
+
+    // Make `content` what the book shows, replacing (and freeing) a proxy or placeholder
+    setBookContent(book, content) {
+        const previous = book.model;
+        if (previous) {
+            book.scene.remove(previous);
+            this.clickableObjects = this.clickableObjects.filter((object) => object.userData.bookScene !== book.scene);
+            if (previous.userData.isStandIn) disposeStandIn(previous);
+        }
+
+        book.model = content;
+        book.scene.add(content);
+        this.requestRender();
+
+        // Make each Mesh in the book clickable
+        content.traverse((child) => {
+            if (child.isMesh) {
+                child.userData.bookIndex = book.index;
+                child.userData.bookName = book.name;
+                child.userData.bookScene = book.scene;
+                this.clickableObjects.push(child);
+            }
+        });
+    }
+
+    // Proxies and placeholders are sized and centred like the real model so swapping them is seamless
+    createStandIn(book, create) {
+        const { size, center } = this.bookBounds ?? { size: undefined, center: new THREE.Vector3() };
+        const standIn = create(book.data, size);
+        standIn.position.copy(center);
+        standIn.userData.isStandIn = true;
+        return standIn;
+    }
+
+    attachModel(book, gltf) {
+        const bookScene = gltf.scene;
+        this.setBookContent(book, bookScene);
+
+        book.mixer = new THREE.AnimationMixer(bookScene);
+
+        const materials = collectMaterials(bookScene);
+        Object.entries(this.options.pageMaterials).forEach(([side, name]) => {
+            const material = materials.get(name);
+            if (!material) return;
+            book.pageMaterials[side] = material;
+            book.bakedPageMaps[side] = material.map;
+        });
+
+        book.pageTurn = preparePageTurn(bookScene, gltf.animations, this.options.pageMaterials);
+
+        gltf.animations.forEach((clip) => {
+            const action = book.mixer.clipAction(clip);
+            action.clampWhenFinished = true;
+            action.setLoop(THREE.LoopOnce);
+            book.animationActions.push({
+                action,
+                originalDuration: clip.duration,
+            });
+        });
+
+        book.status = "loaded";
+        book.settle();
+        this.emitBookEvent(TextureEvents.BOOK_LOADED, book, { placeholder: false });
+    }
+
+    // A titled stand-in for a book whose model never loaded; it can't be opened
+    attachPlaceholder(book) {
+        this.setBookContent(book, this.createStandIn(book, createPlaceholderBook));
+        this.emitBookEvent(TextureEvents.BOOK_LOADED, book, { placeholder: true });
+    }
+
+    // Drop a book that failed to load and close the gap it leaves in the layout
+    removeBook(book) {
+        if (this.currentHoveredIndex !== -1) this.clearHoveredBook();
+        if (this.focusedBook === book) {
+            this.focusedBook = null;
+            this.updateFocusIndicator();
+        }
+
+        this.setBookContent(book, new THREE.Group());
+        this.booksGroup.remove(book.scene);
+        this.shelfMirror.removeBook(book.id);
+
+        this.bookInstances = this.bookInstances.filter((other) => other !== book);
+        this.books = this.bookInstances.map((other) => other.data);
+        this.updateLayout();
+
+        this.bookInstances.forEach((other, index) => {
+            other.index = index;
+            other.scene.traverse((child) => {
+                if (child === other.scene || child.isMesh) child.userData.bookIndex = index;
+            });
+
+            const { x, y, z } = this.finalPositions[index];
+            other.originalPosition = { x, y, z };
+            if (!this.scrollTrigger) other.scene.position.set(x, y, z);
+
+            // Open timelines bake in which side each other book leaves by, so idle ones are rebuilt
+            if (other.openTimeline && !other.isOpen && !other.transition) {
+                other.openTimeline.kill();
+                other.openTimeline = null;
+            }
+        });
+
+        if (this.scrollTrigger) this.updateBookPositions(this.scrollTrigger.progress);
+    }
+
+    // The first book has arrived: show the shelf, with stand-ins for the books that haven't
+    startScene() {
+        this.hasStarted = true;
+
+        this.bookInstances.forEach((book) => {
+            if (book.status === "loading") this.setBookContent(book, this.createStandIn(book, createProxyBook));
+            if (book.status === "failed") this.attachPlaceholder(book);
+        });
+
+        this.addPointerListeners();
+        this.addPageListeners();
+        this.addKeyboardListeners();
+        this.startRenderLoop();
+        this.playEntryAnimation();
+        this.animateBookEntry();
+
+        this.setUpScrollbar();
+        this.resolveReady();
+        this.setUpDeepLinks();
+    }
+
+    onAllBooksLoaded() {
+        // Nothing loaded, so the shelf never started; show whatever placeholders there are
+        if (!this.hasStarted) {
+            if (!this.bookInstances.length) {
+                this.loadingScreen?.showError("None of the books could be loaded.");
+                this.shelfMirror.announce("None of the books could be loaded.");
+                return;
+            }
+            this.startScene();
+        }
+
+        this.dispatchEvent({
+            type: TextureEvents.ALL_LOADED,
+            books: this.bookInstances.map((book) => book.data),
+        });
+    }
+
+    // Books rise into place while the loading overlay fades out
+    playEntryAnimation() {
+        this.entryTimeline = gsap.timeline({ onUpdate: () => this.requestRender() });
+
+        if (this.isReducedMotion) {
+            this.entryTimeline.from(this.renderer.domElement, {
+                duration: REDUCED_MOTION_FADE,
+                autoAlpha: 0,
+            }, 0);
+        } else {
+            this.entryTimeline.from(this.booksGroup.position, {
+                duration: 1.2,
+                y: -0.6,
+                ease: "power3.out",
+            }, 0);
+        }
+
+        if (this.loadingScreen) {
+            this.entryTimeline.to(this.loadingScreen.element, {
+                duration: 0.6,
+                autoAlpha: 0,
+                onComplete: () => this.loadingScreen.element.remove(),
+            }, 0);
+        }
+    }
+
+    // Follows prefers-reduced-motion live unless the reducedMotion option forces a mode
+    setUpReducedMotion() {
+        const { reducedMotion } = this.options;
+        if (reducedMotion !== "auto") {
+            this.isReducedMotion = Boolean(reducedMotion);
+            return;
+        }
+
+        this.reducedMotionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+        this.isReducedMotion = this.reducedMotionQuery.matches;
+
+        this.onReducedMotionChange = ({ matches }) => {
+            this.isReducedMotion = matches;
+            this.applyMotionMode();
+        };
+        this.reducedMotionQuery.addEventListener("change", this.onReducedMotionChange);
+    }
+
+    // Re-place the books for the current motion mode; idle open timelines are rebuilt to match on next use
+    applyMotionMode() {
+        this.bookInstances.forEach((book) => {
+            if (book.openTimeline && !book.isOpen && !book.transition) {
+                book.openTimeline.kill();
+                book.openTimeline = null;
+            }
+        });
+
+        if (!this.scrollTrigger) return;
+
+        // Books in the reduced-motion row can be used at any scroll position
+        this.canInteract = this.isReducedMotion || this.scrollTrigger.progress === 1;
+        this.updateBookPositions(this.scrollTrigger.progress);
+        this.updateFocusIndicator();
+    }
+
+    /**
+     * Hidden list of the books for screen readers (see ShelfMirror). Its buttons open and close
+     * books like a tap; loading, opening and closing are announced through its live region.
+     */
+    setUpShelfMirror() {
+        const mirror = new ShelfMirror(this.container, {
+            onSelect: (id) => {
+                const book = this.getBook(id);
+                const action = book.isOpen ? this.closeBook(id) : this.openBook(id);
+                action.catch((error) => {
+                    console.warn(error);
+                    mirror.announce(`${book.data.title} can't be opened right now`);
+                });
+            },
+        });
+        this.shelfMirror = mirror;
+
+        let loadedCount = 0;
+        // Failed books dropped from this.books with missingBooks: "remove"
+        let removedCount = 0;
+
+        this.addEventListener(TextureEvents.BOOK_LOADED, ({ id, placeholder }) => {
+            if (placeholder) return;
+            loadedCount++;
+            mirror.setBookState(id, "loaded");
+            mirror.announce(`${loadedCount} of ${this.books.length + removedCount} books loaded`);
+        });
+        this.addEventListener(TextureEvents.LOAD_ERROR, ({ id, book }) => {
+            if (id === null) return;
+            if (this.options.missingBooks === "remove") removedCount++;
+            mirror.setBookState(id, "failed");
+            mirror.announce(`${book.title} could not be loaded`);
+        });
+        this.addEventListener(TextureEvents.ALL_LOADED, () => {
+            const unavailable = this.bookInstances.filter((book) => book.status === "failed").length + removedCount;
+            mirror.announce(unavailable
+                ? `${loadedCount} books ready, ${unavailable} could not be loaded`
+                : `All ${loadedCount} books ready`);
+        });
+        this.addEventListener(TextureEvents.OPEN_START, ({ id, book }) => {
+            mirror.setBookState(id, "open");
+            mirror.announce(`Opening ${book.title}`);
+        });
+        this.addEventListener(TextureEvents.CLOSED, ({ id, book }) => {
+            mirror.setBookState(id, "loaded");
+            mirror.announce(`${book.title} closed`);
+        });
+    }
+
+    // Keep ?<deepLink>=<id> in sync with the open book, and open the book named in the URL on load
+    setUpDeepLinks() {
+        const param = this.options.deepLink;
+        if (!param) return;
+
+        this.addEventListener(TextureEvents.OPEN_START, ({ id }) => {
+            if (this.getDeepLinkedId() === id) return;
+            history.pushState(history.state, "", this.getDeepLinkUrl(id));
+        });
+
+        // Closing from the UI drops the param in place; closing from the back button already has
+        this.addEventListener(TextureEvents.CLOSE_START, ({ id }) => {
+            if (this.getDeepLinkedId() !== id) return;
+            history.replaceState(history.state, "", this.getDeepLinkUrl(null));
+        });
+
+        this.onPopState = () => this.syncWithUrl();
+        window.addEventListener("popstate", this.onPopState);
+
+        const id = this.getDeepLinkedId();
+        if (!id) return;
+
+        // Give a shared link its own history entry so the back button closes the book
+        history.replaceState(history.state, "", this.getDeepLinkUrl(null));
+        history.pushState(history.state, "", this.getDeepLinkUrl(id));
+
+        this.scrollToProgress(1, { duration: 0 }).then(() => this.syncWithUrl());
+    }
+
+    getDeepLinkedId() {
+        return new URL(window.location.href).searchParams.get(this.options.deepLink);
+    }
+
+    getDeepLinkUrl(id) {
+        const url = new URL(window.location.href);
+        if (id) {
+            url.searchParams.set(this.options.deepLink, id);
+        } else {
+            url.searchParams.delete(this.options.deepLink);
+        }
+        return url;
+    }
+
+    // Open or close books so the scene matches the current URL
+    syncWithUrl() {
+        const id = this.getDeepLinkedId();
+
+        if (!id) {
+            this.closeAll();
+            return;
+        }
+
+        if (!this.bookInstances.some((book) => book?.id === id)) {
+            console.warn(`No book with id "${id}" in the catalog`);
+            return;
+        }
+
+        this.openBook(id).catch((error) => {
+            console.warn(`Could not open "${id}" from the URL:`, error);
+        });
+    }
+
+    // Every book-level event carries the same fields so listeners can look the book up either way
+    emitBookEvent(type, book, extra = {}) {
+        this.dispatchEvent({ type, index: book.index, id: book.id, book: book.data, ...extra });
+    }
+
+    setUpScrollbar() {
+        // Query the elements
+        const scrollbarWrapper = resolveElement(this.options.scrollbarWrapper, this.container);
+        const scrollbar = resolveElement(this.options.scrollbar, this.container);
+        if (!scrollbarWrapper || !scrollbar) return;
+
+        this.scrollbarWrapper = scrollbarWrapper;
+        scrollbarWrapper.classList.toggle("scrollbar-wrapper--overflow", this.rowOverflow > 0);
+
+
+        // Calculate bounding box of our booksGroup
+        // to figure out how wide the books are in 3D space
+        const box = new THREE.Box3().setFromObject(this.booksGroup);
+        const target = this.booksGroup
+        const requestRender = () => this.requestRender();
+        // An overflowing row pans exactly its overflow; otherwise keep the small-screen nudge
+        const getScrollDistance = () => this.rowOverflow > 0 ? this.rowOverflow : (box.max.x - box.min.x) * 0.75;
+
+        [this.scrollbarDraggable] = Draggable.create(scrollbar, {
+            type: "x",
+            bounds: scrollbarWrapper,
+            inertia: true,
+            onDrag: function () {
+                const scrollFraction = this.x / (scrollbarWrapper.offsetWidth - this.target.offsetWidth);
+                const scrollDistance = getScrollDistance();
+               this.targetX = -scrollFraction * scrollDistance;
+                target.position.x = this.targetX;
+                requestRender();
+            }
+        });
+    }
+
+    initLights() {
+        const ambientLight = new THREE.AmbientLight(0xffffff, 2);
+        this.scene.add(ambientLight);
+
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+        directionalLight.position.set(1, 1, 1);
+        this.scene.add(directionalLight);
+    }
+
+    initCamera() {
+        this.camera = new THREE.PerspectiveCamera(CAMERA_FOV, this.aspectRatio, 0.1, 100);
+        this.camera.position.z = CAMERA_Z;
+        this.scene.add(this.camera);
+    }
+
+    createRenderer() {
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            alpha: true,
+            powerPreference: "high-performance",
+        });
+        this.renderer.setSize(this.sizes.width, this.sizes.height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+
+        this.container.appendChild(this.renderer.domElement);
+    }
+
+    // Decide which model variants to load, and cap the pixel ratio to match
+    setUpQuality() {
+        this.qualityTier = this.options.quality === "auto"
+            ? detectQualityTier(this.renderer)
+            : this.options.quality;
+
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, getMaxPixelRatio(this.qualityTier)));
+    }
+
+    // MAIN SCROLLTRIGGER + AUTO-CLOSE LOGIC
+    // Update the onUpdate handler in animateBookEntry to include smooth scroll transition
+    animateBookEntry() {
+        let lastProgress = 0;
+
+        this.scrollTrigger = ScrollTrigger.create({
+            trigger: this.container,
+            start: "top top",
+            end: this.options.scrollLength,
+            pin: true,
+            scrub: 1,
+            markers: this.options.markers,
+
+            onLeaveBack: () => {
+                // If the user fully scrolls back to top, close all
+                this.closeAllOpenBooks();
+            },
+
+            onUpdate: (self) => {
+                this.dispatchEvent({
+                    type: TextureEvents.PROGRESS,
+                    progress: self.progress,
+                    direction: self.direction,
+                });
+
+                // Reduced motion: the row stays put and the scroll position is never taken over;
+                // scrolling up only closes the open book
+                if (this.isReducedMotion) {
+                    if (self.progress < lastProgress && this.isAnyBookOpen()) this.closeAllOpenBooks();
+                    this.updateBookPositions(self.progress);
+                    lastProgress = self.progress;
+                    return;
+                }
+
+                // If user scrolls UP (progress < lastProgress) and any book is open
+                if (self.progress < lastProgress && this.isAnyBookOpen() && !this.isClosingFromScroll) {
+                    // Store the target progress we want to animate to
+                    const targetProgress = self.progress;
+
+                    // Pause the ScrollTrigger temporarily
+                    self.disable();
+
+                    // Set flag to prevent recursive calls
+                    this.isClosingFromScroll = true;
+
+                    // Close all books with a promise
+                    this.closeAllOpenBooksWithPromise().then(() => {
+                        if (this.isDestroyed) return;
+
+                        // After closing books, we want to smoothly transition
+                        // to the appropriate scroll position
+                        self.enable();
+
+                        // Calculate where each book should be in the elliptical path
+                        // based on the current scroll progress
+                        const targetBookPositions = this.calculateBookPositionsForProgress(targetProgress);
+
+                        // First, animate the books to their correct positions
+                        const positionTransition = this.autoCloseTween = gsap.timeline({
+                            onUpdate: () => this.requestRender(),
+                            onComplete: () => {
+                                // Now smoothly animate the scroll position over 2 seconds (3x slower)
+                                // Store the current scroll position
+                                const startScrollY = window.scrollY;
+                                // Calculate the scroll position that corresponds to the target progress
+                                // We need to convert ScrollTrigger progress to actual scroll position
+                                const totalScrollDistance = self.end - self.start;
+                                const endScrollY = self.start + (totalScrollDistance * targetProgress);
+                                const scrollDistance = endScrollY - startScrollY;
+
+                                // Create a manual scroll animation
+                                this.autoCloseTween = gsap.to({progress: 0}, {
+                                    progress: 1,
+                                    duration: 2, // 3x slower than typical
+                                    ease: "power2.inOut",
+                                    onUpdate: function() {
+                                        // Calculate the current scroll position based on progress
+                                        const currentY = startScrollY + (scrollDistance * this.targets()[0].progress);
+                                        window.scrollTo(0, currentY);
+                                    },
+                                    onComplete: () => {
+                                        // Make sure we end exactly at the target position
+                                        window.scrollTo(0, endScrollY);
+                                        // Reset the flag after all animations are complete
+                                        this.isClosingFromScroll = false;
+                                        this.autoCloseTween = null;
+                                    }
+                                });
+                            }
+                        });
+
+                        // Animate each book to its calculated position
+                        this.bookInstances.forEach((book, index) => {
+                            if (!book) return;
+
+                            const targetPos = targetBookPositions[index];
+                            positionTransition.to(book.scene.position, {
+                                duration: 0.75, // Slightly longer for smoother transition
+                                x: targetPos.x,
+                                y: targetPos.y,
+                                z: book.scene.position.z,
+                                ease: "power2.out"
+                            }, 0);
+
+                            // Also animate rotation
+                            const targetRotation = getOrbitRotation(this.orbitConfigs[index], targetProgress);
+
+                            positionTransition.to(book.scene.rotation, {
+                                duration: 0.75,
+                                x: targetRotation.x,
+                                y: targetRotation.y,
+                                z: targetRotation.z,
+                                ease: "power2.out"
+                            }, 0);
+                        });
+                    });
+                }
+
+                // Only update positions if we're not in the middle of a scroll-triggered close
+                if (!this.isClosingFromScroll) {
+                    // Update book positions based on scroll
+                    this.updateBookPositions(self.progress);
+
+                    // Only allow interaction if fully scrolled to the bottom
+                    this.canInteract = (self.progress === 1);
+                    this.updateFocusIndicator();
+                }
+
+                lastProgress = self.progress;
+            },
+        });
+
+        this.applyMotionMode();
+    }
+
+    // Returns a Promise for when all books are closed
+    closeAllOpenBooksWithPromise() {
+        // If we already have a promise in progress, return it
+        if (this.bookClosePromise) return this.bookClosePromise;
+
+        const openBooks = this.bookInstances.filter((book) => book && book.isOpen);
+
+        // If no books are open, resolve immediately
+        if (!openBooks.length) {
+            return Promise.resolve();
+        }
+
+        // Books already on their way back only need to be waited for
+        const closing = openBooks.map((book) =>
+            book.transition?.direction === "close"
+                ? book.transition.done
+                : this.toggleBookAnimationWithCallback(book.index, null),
+        );
+
+        this.bookClosePromise = Promise.all(closing).then(() => {
+            this.bookClosePromise = null;
+        });
+
+        return this.bookClosePromise;
+    }
+
+    // Helper: check if any book is currently open
+    isAnyBookOpen() {
+        return this.bookInstances.some((b) => b?.isOpen);
+    }
+
+    getXValue(progress) {
+        //const box = new THREE.Box3().setFromObject(this.booksGroup);
+
+        // A row wider than the view ends with its left end at the left edge; the scrollbar pans the rest in
+        if (this.rowOverflow > 0) {
+            const leftEndX = this.rowBounds.min + this.getVisibleHalfWidth(this.finalPositions[0].z);
+            return this.finalXValue = leftEndX * progress;
+        }
+
+        if(window.innerWidth < this.baseWidth){
+            const leftmostBook = this.bookInstances[this.bookInstances.length - 1];
+            if (!leftmostBook) return;
+
+            // Get bounding box of the leftmost book
+            const bbox = new THREE.Box3().setFromObject(leftmostBook.scene);
+            const leftEdge = bbox.min.x;
+
+            const bookWidth = bbox.max.x - bbox.min.x;
+            const desiredOffset = window.innerWidth/140 * bookWidth;
+            return this.finalXValue =  leftEdge + desiredOffset;
+        }else{
+            return  this.finalXValue  = 0.35
+        }
+    }
+
+    updateBookPositions(progress) {
+        if (this.isReducedMotion) {
+            this.placeBooksInRow();
+            return;
+        }
+
+        this.bookInstances.forEach((book, i) => {
+            if (!book) return;
+
+            const orbit = this.orbitConfigs[i];
+            const { x, y } = getOrbitPosition(orbit, progress);
+
+            if (i === this.bookInstances.length - 1) {
+                this.camera.position.x = this.getXValue(progress)
+            }
+
+            // If not open or actively clicking, let the ellipse drive the position
+            if (!book.isOpen && !book.isClickPlaying) {
+                const rotation = getOrbitRotation(orbit, progress);
+                book.scene.position.set(x, y, book.scene.position.z);
+                book.scene.rotation.set(rotation.x, rotation.y, rotation.z);
+            }
+        });
+
+        this.requestRender();
+    }
+
+    // Reduced motion: the row and camera the scroll ends on, whatever the scroll progress
+    // (the resting slots are wider than the view). The scrollbar pans any overflow.
+    placeBooksInRow() {
+        // An open book and the books it moved aside stay where its timeline put them
+        if (!this.bookInstances.some((book) => book.isOpen || book.transition)) {
+            const rotation = getRowRotation();
+            this.bookInstances.forEach((book, i) => {
+                const { x, y } = getOrbitPosition(this.orbitConfigs[i], 1);
+                book.scene.position.set(x, y, this.finalPositions[i].z);
+                book.scene.rotation.set(rotation.x, rotation.y, rotation.z);
+            });
+            this.camera.position.x = this.getXValue(1) ?? 0;
+        }
+
+        this.requestRender();
+    }
+
+    closeAllOpenBooks() {
+        return this.closeAllOpenBooksWithPromise();
+    }
+
+    /**
+     * Frames are drawn only when something changed: a mixer is playing, one of our GSAP
+     * animations updated (they call requestRender themselves), the scroll position moved, or a
+     * book, texture or the viewport changed. Nothing is drawn while the canvas is scrolled out
+     * of view or the tab is hidden; mixers still run offscreen so open and close always finish.
+     */
+    startRenderLoop() {
+        this.visibilityObserver = new IntersectionObserver(([entry]) => {
+            this.isOnScreen = entry.isIntersecting;
+            if (this.isOnScreen) {
+                this.requestRender();
+            } else if (!this.isMixing()) {
+                cancelAnimationFrame(this.frameId);
+                this.frameId = null;
+            }
+        });
+        this.visibilityObserver.observe(this.renderer.domElement);
+
+        this.onVisibilityChange = () => {
+            if (!document.hidden) this.requestRender();
+        };
+        document.addEventListener("visibilitychange", this.onVisibilityChange);
+
+        this.requestRender();
+    }
+
+    isMixing() {
+        return this.bookInstances.some((book) => book?.isClickPlaying || book?.isHoverPlaying);
+    }
+
+    requestRender() {
+        if (this.frameId || document.hidden) return;
+        if (!this.isOnScreen && !this.isMixing()) return;
+
+        // Mixers shouldn't jump ahead by however long the loop was idle
+        this.clock.getDelta();
+        this.frameId = requestAnimationFrame(() => this.renderFrame());
+    }
+
+    renderFrame() {
+        this.frameId = null;
+
+        const deltaTime = this.clock.getDelta();
+        let mixing = false;
+        this.bookInstances.forEach((book) => {
+            if (book && (book.isClickPlaying || book.isHoverPlaying)) {
+                book.mixer.update(deltaTime);
+                this.checkAnimationProgress(book);
+                mixing ||= book.isClickPlaying || book.isHoverPlaying;
+            }
+        });
+
+        // Books let go of after a drag coast and spring back to the reading pose
+        let inspecting = false;
+        this.bookInstances.forEach((book) => {
+            if (book.model && stepInspect(book.inspect, deltaTime)) {
+                applyInspectPose(book.model, this.bookBounds.center, book.inspect);
+                inspecting = true;
+            }
+        });
+
+        if (this.isOnScreen) {
+            if (this.detailsBook) {
+                this.detailsPanel.placeAround(this.detailsBook.scene, this.camera, this.sizes.width, this.sizes.height);
+            }
+            this.renderer.render(this.scene, this.camera);
+        }
+
+        if (mixing || inspecting) {
+            // Keep the clock running between mixer and spring frames, unlike a fresh start
+            this.frameId = requestAnimationFrame(() => this.renderFrame());
+        }
+    }
+
+    checkAnimationProgress(book) {
+        book.animationActions.forEach((animObj) => {
+            const { action, originalDuration } = animObj;
+            const currentTime = action.time;
+
+            // If it's a click animation:
+            if (book.isClickPlaying) {
+                const forwardLimit =
+                    originalDuration * this.clickPlayPercentage; // 90%
+                const reverseLimit = 0;
+
+                // Opening forward
+                if (action.timeScale > 0 && currentTime >= forwardLimit) {
+                    action.paused = true;
+                    action.time = forwardLimit;
+                    book.isClickPlaying = false;
+                    book.isOpen = true; // Reached 90% => open
+                    this.completeTransitionPart(book, "mixer");
+                }
+                // Closing backward
+                else if (action.timeScale < 0 && currentTime <= reverseLimit) {
+                    action.paused = true;
+                    action.time = reverseLimit;
+                    book.isClickPlaying = false;
+                    book.isOpen = false; // Reached 0% => closed
+                    this.completeTransitionPart(book, "mixer");
+                }
+            }
+
+            // If it's a hover animation:
+            if (book.isHoverPlaying) {
+                const hoverForwardLimit =
+                    originalDuration * this.hoverPlayPercentage; // 20%
+                const hoverReverseLimit = 0;
+
+                // Hover forward (0->20%)
+                if (action.timeScale > 0 && currentTime >= hoverForwardLimit) {
+                    action.paused = true;
+                    action.time = hoverForwardLimit;
+                    book.isHoverPlaying = false;
+                }
+                // Hover backward (20%->0)
+                else if (action.timeScale < 0 && currentTime <= hoverReverseLimit) {
+                    action.paused = true;
+                    action.time = hoverReverseLimit;
+                    book.isHoverPlaying = false;
+                }
+            }
+        });
+    }
+
+    // Extract the ellipse calculation logic to a separate method so we can reuse it
+    calculateBookPositionsForProgress(progress) {
+        const positions = this.orbitConfigs.map((orbit) => getOrbitPosition(orbit, progress));
+
+        // Store these positions for potential later use
+        this.lastCalculatedPositions = positions;
+
+        return positions;
+    }
+
+
+    /**
+     * The main open/close logic.
+     * Returns a promise that resolves once both the timeline and the mixer have finished.
+     */
+    toggleBookAnimationWithCallback(bookIndex, callback) {
+        const book = this.bookInstances[bookIndex];
+        if (!book || !book.animationActions.length) {
+            if (callback) callback();
+            return Promise.resolve();
+        }
+
+        const bbox = new THREE.Box3().setFromObject(book.scene);
+        const center = bbox.getCenter(new THREE.Vector3());
+
+// That center.x is how far “off” it is from world-space (0,0,0).
+// If you want the center to be exactly at x=0:
+        const offsetX = -center.x;
+
+        // Cancel any hover in progress
+        if (book.isHoverPlaying) {
+            book.isHoverPlaying = false;
+            book.animationActions.forEach((animObj) => {
+                animObj.action.paused = true;
+            });
+        }
+
+        // Build the "open" timeline once
+        if (!book.openTimeline) {
+            // Your existing openTimeline creation code
+            book.openTimeline = gsap.timeline({
+                onUpdate: () => this.requestRender(),
+                onComplete: () => {
+                    book.openTimeline.pause();
+                    book.openTimeline.progress(1);
+                    this.completeTransitionPart(book, "timeline");
+                },
+                onReverseComplete: () => {
+                    book.openTimeline.pause();
+                    book.openTimeline.progress(0);
+                    this.completeTransitionPart(book, "timeline");
+                },
+            });
+
+            // The details panel tracks the book from when it starts showing until it is hidden again
+            const detailsCallbacks = {
+                onStart: () => {
+                    this.detailsPanel.fill(book.data);
+                    this.detailsBook = book;
+                },
+                onReverseComplete: () => {
+                    if (this.detailsBook === book) this.detailsBook = null;
+                },
+            };
+
+            if (this.isReducedMotion) {
+                this.addCrossfadeOpenSteps(book, bookIndex, detailsCallbacks);
+            } else {
+                // Add your existing animations to the timeline
+                book.openTimeline.to(
+                    book.scene.rotation,
+                    {
+                        duration: 0.5,
+                        z: 0,
+                    },
+                    0
+                );
+
+                book.openTimeline.to(
+                    book.scene.position,
+                    {
+                        duration: 2,
+                        x: () => {
+                            // The camera's x position represents the center point of the viewport
+                            const viewportCenter = this.camera.position.x;
+
+                            // We need to adjust for the current scrollbar position
+                            // this.targetX is how much the books group has been scrolled
+                            // We subtract it because if targetX is negative (scrolled right),
+                            // we need to move the book further right to appear centered
+                            return viewportCenter - this.booksGroup.position.x;
+                        },
+                        y: 0,
+                        z: ()=> 0.55 * (Math.min(window.innerWidth/1400, 1)),
+                    },
+                    "<"
+                );
+
+                // Details panel fades in once the book is most of the way to centre, and out first on reverse
+                book.openTimeline.fromTo(
+                    this.detailsPanel.element,
+                    { autoAlpha: 0, y: 20 },
+                    {
+                        duration: 0.6,
+                        autoAlpha: 1,
+                        y: 0,
+                        immediateRender: false,
+                        ...detailsCallbacks,
+                    },
+                    1.2
+                );
+
+                this.bookInstances.forEach((other, i) => {
+                    if (!other || i === bookIndex) return;
+                    const offscreenX = i < bookIndex ? 5 : -5;
+                    book.openTimeline.to(
+                        other.scene.position,
+                        {
+                            duration: 3,
+                            x: offscreenX,
+                        },
+                        0
+                    );
+                });
+            }
+
+            book.openTimeline.pause(0);
+        }
+
+        // Open or close?
+        if (!book.isOpen) {
+            // Opening => run forward page-turn
+            this.showSpread(book, 0);
+            book.isClickPlaying = true;
+            book.animationActions.forEach((animObj) => {
+                const { action } = animObj;
+                action.paused = false;
+                action.timeScale = 1;
+                action.play();
+            });
+
+            // Make sure timeline is at start, then play forward
+            book.openTimeline.timeScale(1);
+            book.openTimeline.progress(0);
+            this.startTransition(book, "open");
+            book.openTimeline.play();
+        } else {
+            // Closing => run backward page-turn
+            book.isClickPlaying = true;
+            book.animationActions.forEach((animObj) => {
+                const { action } = animObj;
+                action.paused = false;
+                action.timeScale = -1;
+                action.play();
+            });
+
+            // Reverse the timeline
+            book.openTimeline.timeScale(2); // speed up the reverse
+            // Jumping to the end lets a still-running open finish (and report) first, as progress(0) does above
+            book.openTimeline.progress(1);
+            this.startTransition(book, "close");
+            book.openTimeline.reverse();
+        }
+
+        const { done } = book.transition;
+        if (callback) done.then(callback);
+        return done;
+    }
+
+
+    /**
+     * Reduced-motion open: fade the canvas out, put the book in the centre and the others aside
+     * while it is hidden, then fade back in. Reversed, the same steps close it.
+     */
+    addCrossfadeOpenSteps(book, bookIndex, detailsCallbacks) {
+        const timeline = book.openTimeline;
+        const canvas = this.renderer.domElement;
+
+        timeline.to(canvas, { duration: REDUCED_MOTION_FADE, autoAlpha: 0 }, 0);
+
+        timeline.set(book.scene.rotation, { z: 0 }, REDUCED_MOTION_FADE);
+        timeline.set(book.scene.position, {
+            x: () => this.camera.position.x - this.booksGroup.position.x,
+            y: 0,
+            z: () => 0.55 * (Math.min(window.innerWidth / 1400, 1)),
+        }, REDUCED_MOTION_FADE);
+        this.bookInstances.forEach((other, i) => {
+            if (!other || i === bookIndex) return;
+            timeline.set(other.scene.position, { x: i < bookIndex ? 5 : -5 }, REDUCED_MOTION_FADE);
+        });
+
+        timeline.to(canvas, { duration: REDUCED_MOTION_FADE, autoAlpha: 1 }, REDUCED_MOTION_FADE);
+        timeline.fromTo(
+            this.detailsPanel.element,
+            { autoAlpha: 0 },
+            { duration: REDUCED_MOTION_FADE, autoAlpha: 1, immediateRender: false, ...detailsCallbacks },
+            REDUCED_MOTION_FADE * 2,
+        );
+    }
+
+    startTransition(book, direction) {
+        // A transition that gets interrupted still counts as finished for whoever was waiting on it
+        book.transition?.resolve();
+
+        let resolve;
+        const done = new Promise((r) => {
+            resolve = r;
+        });
+
+        book.transition = { direction, timeline: false, mixer: false, done, resolve };
+        this.emitBookEvent(direction === "open" ? TextureEvents.OPEN_START : TextureEvents.CLOSE_START, book);
+    }
+
+    // Called by the GSAP timeline and by checkAnimationProgress; fires opened/closed once both are done
+    completeTransitionPart(book, part) {
+        const { transition } = book;
+        if (!transition) return;
+
+        transition[part] = true;
+        if (!transition.timeline || !transition.mixer) return;
+
+        book.transition = null;
+        this.emitBookEvent(transition.direction === "open" ? TextureEvents.OPENED : TextureEvents.CLOSED, book);
+        transition.resolve();
+    }
+
+    // Look a book up by catalog id or by index
+    getBook(idOrIndex) {
+        const index = typeof idOrIndex === "number"
+            ? idOrIndex
+            : this.bookInstances.findIndex((book) => book?.id === idOrIndex);
+
+        const book = this.bookInstances[index];
+        if (!book) {
+            throw new Error(`Texture: unknown book ${JSON.stringify(idOrIndex)}`);
+        }
+        return book;
+    }
+
+    /**
+     * Open a book by id or index, scrolling to the interactive range first if needed.
+     * Any other open book is closed on the way. Resolves once the book is fully open.
+     */
+    async openBook(idOrIndex) {
+        await this.ready;
+        const book = this.getBook(idOrIndex);
+
+        if (this.isClosingFromScroll) {
+            throw new Error("Texture: cannot open a book while the shelf is closing");
+        }
+
+        // A book still loading opens as soon as its model is in
+        await book.settled;
+        if (book.status !== "loaded") {
+            throw new Error(`Texture: "${book.id}" failed to load and cannot be opened`);
+        }
+
+        if (!this.canInteract) await this.scrollToProgress(1);
+
+        // Let an open or close that is already running finish first
+        if (book.transition) await book.transition.done;
+        if (book.isOpen) return;
+
+        await this.selectBook(book.index);
+    }
+
+    /**
+     * Close one book, or whichever books are open when called without arguments.
+     */
+    async closeBook(idOrIndex) {
+        if (idOrIndex === undefined) return this.closeAll();
+
+        await this.ready;
+        const book = this.getBook(idOrIndex);
+
+        if (book.transition?.direction === "open") await book.transition.done;
+        if (book.transition?.direction === "close") return book.transition.done;
+        if (!book.isOpen) return;
+
+        await this.toggleBookAnimationWithCallback(book.index, null);
+    }
+
+    async closeAll() {
+        await this.ready;
+
+        // Books still opening are allowed to finish so they can be reversed cleanly
+        await Promise.all(
+            this.bookInstances
+                .filter((book) => book?.transition?.direction === "open")
+                .map((book) => book.transition.done),
+        );
+
+        await this.closeAllOpenBooksWithPromise();
+    }
+
+    /**
+     * Scroll the pinned section to a ScrollTrigger progress between 0 and 1.
+     * Jumps straight there by default in reduced-motion mode.
+     */
+    async scrollToProgress(progress, { duration = this.isReducedMotion ? 0 : 1 } = {}) {
+        await this.ready;
+
+        const trigger = this.scrollTrigger;
+        const clamped = Math.min(Math.max(progress, 0), 1);
+        const endScrollY = trigger.start + (trigger.end - trigger.start) * clamped;
+        const startScrollY = window.scrollY;
+
+        if (Math.abs(endScrollY - startScrollY) >= 1) {
+            let tween;
+            await new Promise((resolve) => {
+                tween = this.scrollTween = gsap.to({ progress: 0 }, {
+                    progress: 1,
+                    duration,
+                    ease: "power2.inOut",
+                    onUpdate: function () {
+                        window.scrollTo(0, startScrollY + (endScrollY - startScrollY) * this.targets()[0].progress);
+                    },
+                    onComplete: resolve,
+                });
+            });
+            if (this.scrollTween === tween) this.scrollTween = null;
+        }
+
+        window.scrollTo(0, endScrollY);
+        // Flush onUpdate now so canInteract reflects the new position
+        ScrollTrigger.update();
+    }
+
+    // Open the given book (closing any other) or close it if it is already open
+    selectBook(bookIndex) {
+        const book = this.bookInstances[bookIndex];
+        // Proxies and placeholders have nothing to open
+        if (book?.status !== "loaded") return Promise.resolve([]);
+
+        const isOpening = book && !book.isOpen;
+
+        const transitions = [this.toggleBookAnimationWithCallback(bookIndex, null)];
+
+        // If we're opening a book and other books are open, close them
+        if (isOpening) {
+            this.bookInstances.forEach((otherBook, i) => {
+                if (otherBook && i !== bookIndex && otherBook.isOpen) {
+                    transitions.push(this.toggleBookAnimationWithCallback(i, null));
+                }
+            });
+        }
+
+        return Promise.all(transitions);
+    }
+
+    // Cached per book so flipping back and forth doesn't rebuild canvases
+    loadPageTexture(book, pageIndex) {
+        if (!book.pageTextures[pageIndex]) {
+            book.pageTextures[pageIndex] = createPageTexture(book.data.pages[pageIndex], {
+                loader: this.imageLoader,
+                // Even pages land on the left of a spread
+                mirrored: pageIndex % 2 === 0,
+            }).catch((error) => {
+                console.warn(`Could not load page ${pageIndex + 1} of ${book.name}:`, error);
+                book.pageTextures[pageIndex] = null;
+                return null;
+            });
+        }
+        return book.pageTextures[pageIndex];
+    }
+
+    // Catalog page texture, or the model's baked one for pages the catalog doesn't have
+    async getPageMap(book, side, pageIndex) {
+        const map = pageIndex < book.data.pages.length
+            ? await this.loadPageTexture(book, pageIndex)
+            : null;
+        return map ?? book.bakedPageMaps[side];
+    }
+
+    setPageMap(book, side, map) {
+        const material = book.pageMaterials[side];
+        if (material && map && material.map !== map) {
+            replaceMap(material, map, { disposePrevious: false });
+            this.requestRender();
+        }
+    }
+
+    /**
+     * Put pages spread * 2 and spread * 2 + 1 of the catalog on the left and right page.
+     */
+    showSpread(book, spread) {
+        book.currentSpread = spread;
+
+        return Promise.all(
+            ["left", "right"].map(async (side, offset) => {
+                const map = await this.getPageMap(book, side, spread * 2 + offset);
+                // A page turn may have moved on while the texture loaded
+                if (book.currentSpread === spread && !book.isTurningPage) {
+                    this.setPageMap(book, side, map);
+                }
+            }),
+        );
+    }
+
+    getSpreadCount(book) {
+        return Math.max(1, Math.ceil(book.data.pages.length / 2));
+    }
+
+    // The book that is fully open and can turn pages
+    getReadableBook() {
+        return this.bookInstances.find((book) => book?.isOpen && !book.transition) ?? null;
+    }
+
+    nextPage() {
+        return this.turnPage(1);
+    }
+
+    previousPage() {
+        return this.turnPage(-1);
+    }
+
+    /**
+     * Turn the open book one spread forward (1) or back (-1).
+     * Resolves to false when there is no open book or no page in that direction.
+     */
+    async turnPage(step) {
+        const book = this.getReadableBook();
+        if (!book || !book.pageTurn || book.isTurningPage) return false;
+
+        const from = book.currentSpread;
+        const to = from + step;
+        if (to < 0 || to >= this.getSpreadCount(book)) return false;
+
+        book.isTurningPage = true;
+
+        const forward = step > 0;
+        const [leftFrom, rightFrom, leftTo, rightTo] = await Promise.all([
+            this.getPageMap(book, "left", from * 2),
+            this.getPageMap(book, "right", from * 2 + 1),
+            this.getPageMap(book, "left", to * 2),
+            this.getPageMap(book, "right", to * 2 + 1),
+        ]);
+
+        // The page uncovered by the turning leaf changes underneath it straight away,
+        // the one it lands on only once it has landed
+        this.setPageMap(book, forward ? "right" : "left", forward ? rightTo : leftTo);
+
+        await turnLeaf(book.pageTurn, {
+            pageMap: forward ? rightFrom : rightTo,
+            leafMap: forward ? leftTo : leftFrom,
+            forward,
+            onUpdate: () => this.requestRender(),
+        });
+
+        this.setPageMap(book, forward ? "left" : "right", forward ? leftTo : rightTo);
+
+        book.currentSpread = to;
+        book.isTurningPage = false;
+
+        this.updatePager(book);
+        this.emitBookEvent(TextureEvents.PAGE_CHANGE, book, {
+            spread: to,
+            spreadCount: this.getSpreadCount(book),
+            pages: [to * 2, to * 2 + 1].filter((page) => page < book.data.pages.length),
+        });
+
+        return true;
+    }
+
+    updatePager(book) {
+        this.pager.update({
+            spread: book.currentSpread,
+            spreadCount: this.getSpreadCount(book),
+            pageCount: book.data.pages.length,
+        });
+    }
+
+    addPageListeners() {
+        // Pager only shows for fully open books with more than one spread
+        this.addEventListener(TextureEvents.OPENED, ({ index }) => {
+            const book = this.bookInstances[index];
+            if (this.getSpreadCount(book) < 2) return;
+            this.updatePager(book);
+            gsap.to(this.pager.element, { autoAlpha: 1, duration: 0.4 });
+        });
+
+        const hidePager = () => gsap.to(this.pager.element, { autoAlpha: 0, duration: 0.2 });
+        this.addEventListener(TextureEvents.CLOSE_START, hidePager);
+        this.addEventListener(TextureEvents.OPEN_START, hidePager);
+
+        // Only keys pressed inside this shelf (the canvas or the pager), so the rest of the page
+        // and other Texture instances keep their arrow keys; the mirror's buttons are left alone too
+        this.onPageKeyDown = (event) => {
+            if (event.defaultPrevented || event.target.closest?.("input, textarea, select, [contenteditable]")) return;
+            if (this.shelfMirror.element.contains(event.target)) return;
+            if (!this.getReadableBook()) return;
+
+            if (event.key === "ArrowRight") {
+                event.preventDefault();
+                this.nextPage();
+            } else if (event.key === "ArrowLeft") {
+                event.preventDefault();
+                this.previousPage();
+            }
+        };
+        this.container.addEventListener("keydown", this.onPageKeyDown);
+    }
+
+    /**
+     * Keyboard access once the shelf is interactive: the canvas takes Tab focus, the arrow keys
+     * (and Home / End) move a focus outline between books, Enter or Space opens or closes the
+     * focused book like a tap would, and Escape closes the open book. While a book is open,
+     * Left / Right stay page turns (see addPageListeners).
+     */
+    addKeyboardListeners() {
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute("aria-label", "Bookshelf. Arrow keys choose a book, Enter opens it and Escape closes it.");
+
+        this.onCanvasFocus = () => {
+            // Keyboard focus only; clicking also focuses the canvas
+            this.isFocusVisible = canvas.matches(":focus-visible");
+            this.updateFocusIndicator();
+        };
+        this.onCanvasBlur = () => {
+            this.isFocusVisible = false;
+            this.updateFocusIndicator();
+        };
+        this.onKeyDown = (event) => this.onCanvasKeyDown(event);
+
+        canvas.addEventListener("focus", this.onCanvasFocus);
+        canvas.addEventListener("blur", this.onCanvasBlur);
+        canvas.addEventListener("keydown", this.onKeyDown);
+
+        // Focus follows the open book, and comes back to a book once it is closed
+        this.addEventListener(TextureEvents.OPEN_START, ({ index }) => {
+            this.focusBook(this.bookInstances[index]);
+        });
+        this.addEventListener(TextureEvents.CLOSED, ({ index }) => {
+            if (!this.bookInstances.some((book) => book.isOpen)) this.focusBook(this.bookInstances[index]);
+        });
+    }
+
+    onCanvasKeyDown(event) {
+        if (event.defaultPrevented || !this.canInteract || this.isClosingFromScroll) return;
+
+        const isBookOpen = this.bookInstances.some((book) => book.isOpen || book.transition);
+
+        if (event.key === "Escape") {
+            if (!isBookOpen) return;
+            event.preventDefault();
+            this.closeBook();
+            return;
+        }
+
+        if (event.key === "Enter" || event.key === " ") {
+            if (!this.focusedBook) return;
+            event.preventDefault();
+            this.isFocusVisible = true;
+            this.selectBook(this.focusedBook.index);
+            return;
+        }
+
+        const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+        const count = this.bookInstances.length;
+        const edge = { Home: 0, End: count - 1 }[event.key];
+        if ((step === undefined && edge === undefined) || !count || isBookOpen) return;
+
+        event.preventDefault();
+        this.isFocusVisible = true;
+
+        const current = this.bookInstances.indexOf(this.focusedBook);
+        let index = edge;
+        if (index === undefined) {
+            index = current === -1
+                ? (step > 0 ? 0 : count - 1)
+                : (current + step + count) % count;
+        }
+        this.focusBook(this.bookInstances[index]);
+    }
+
+    focusBook(book) {
+        if (book && book !== this.focusedBook) {
+            this.focusedBook = book;
+            this.emitBookEvent(TextureEvents.FOCUS, book);
+        }
+        this.updateFocusIndicator();
+    }
+
+    // The outline sits on the focused book while the keyboard is in use and no book is open
+    updateFocusIndicator() {
+        const book = this.focusedBook;
+        const isShown = Boolean(book) && this.isFocusVisible && this.canInteract
+            && !this.bookInstances.some((other) => other.isOpen || other.transition);
+
+        if (!this.focusIndicator) {
+            if (!isShown) return;
+            this.focusIndicator = createFocusIndicator(this.bookBounds?.size, this.bookBounds?.center);
+        }
+
+        const indicator = this.focusIndicator;
+        if (isShown && indicator.parent !== book.scene) {
+            book.scene.add(indicator);
+            this.requestRender();
+        }
+        if (indicator.visible !== isShown) {
+            indicator.visible = isShown;
+            this.requestRender();
+        }
+    }
+
+    // The nearest book mesh under a point on the canvas, if any
+    raycastBooks(clientX, clientY) {
+        this.mouse.x = (clientX / this.sizes.width) * 2 - 1;
+        this.mouse.y = -((clientY / this.sizes.height) * 2 - 1);
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        return this.raycaster.intersectObjects(this.clickableObjects)[0] ?? null;
+    }
+
+    // A click or tap; only acts if we can interact
+    onCanvasTap(event) {
+        if (!this.canInteract || this.isClosingFromScroll) return;
+
+        const hit = this.raycastBooks(event.clientX, event.clientY);
+        const bookIndex = hit?.object.userData.bookIndex;
+        if (bookIndex === undefined) return;
+
+        // A tap near the outer edge of an open page turns it instead of closing the book
+        if (this.turnPageFromHit(bookIndex, hit)) return;
+
+        this.selectBook(bookIndex);
+    }
+
+    turnPageFromHit(bookIndex, hit) {
+        const book = this.bookInstances[bookIndex];
+        if (!book || book !== this.getReadableBook() || !book.pageTurn) return false;
+        if (!isNearPageEdge(book.pageTurn, hit.point)) return false;
+
+        const material = Array.isArray(hit.object.material) ? hit.object.material[0] : hit.object.material;
+        if (material === book.pageMaterials.right) {
+            this.nextPage();
+            return true;
+        }
+        if (material === book.pageMaterials.left) {
+            this.previousPage();
+            return true;
+        }
+        return false;
+    }
+
+    animateToFraction(book, fraction) {
+        if (!book.animationActions.length) return;
+        book.isHoverPlaying = true;
+
+        book.animationActions.forEach((animObj) => {
+            const { action, originalDuration } = animObj;
+            const currentTime = action.time;
+            const targetTime = fraction * originalDuration;
+
+            const direction = currentTime < targetTime ? 1 : -1;
+            action.timeScale = direction;
+            action.paused = false;
+            action.play();
+        });
+
+        this.requestRender();
+    }
+
+    /**
+     * Pointer Events for mouse, pen and touch alike. Mouse and pen hover to peek; a tap (a press
+     * that barely moves) opens a book; holding a touch for LONG_PRESS_DELAY peeks until released.
+     * Touch moves never raycast, so scrolling the page over the books doesn't hit them.
+     */
+    addPointerListeners() {
+        const canvas = this.renderer.domElement;
+
+        this.onPointerDown = (event) => this.onCanvasPointerDown(event);
+        this.onPointerMove = (event) => this.onCanvasPointerMove(event);
+        this.onPointerUp = (event) => this.onCanvasPointerUp(event);
+        // The browser took the touch over for scrolling or zooming
+        this.onPointerCancel = (event) => {
+            if (this.press?.pointerId === event.pointerId) this.endPress();
+        };
+        this.onPointerLeave = (event) => {
+            if (event.pointerType !== "touch") this.clearHoveredBook();
+        };
+        // Some phones open a context menu on long-press
+        this.onContextMenu = (event) => {
+            if (this.press?.pointerType === "touch") event.preventDefault();
+        };
+
+        canvas.addEventListener("pointerdown", this.onPointerDown);
+        canvas.addEventListener("pointermove", this.onPointerMove);
+        canvas.addEventListener("pointerup", this.onPointerUp);
+        canvas.addEventListener("pointercancel", this.onPointerCancel);
+        canvas.addEventListener("pointerleave", this.onPointerLeave);
+        canvas.addEventListener("contextmenu", this.onContextMenu);
+
+        // A book that starts closing mid-drag is let go, so it springs back on the way
+        this.addEventListener(TextureEvents.CLOSE_START, ({ index }) => {
+            if (this.press?.inspectBook === this.bookInstances[index]) this.endPress();
+        });
+    }
+
+    onCanvasPointerDown(event) {
+        // Pointer use hides the keyboard focus outline until the next key press
+        this.isFocusVisible = false;
+        this.updateFocusIndicator();
+
+        if (!event.isPrimary || (event.pointerType === "mouse" && event.button !== 0)) return;
+        this.endPress();
+
+        // A touch that stops a fling shouldn't also open whatever ends up under the finger
+        const isFlinging = Math.abs(this.scrollTrigger?.getVelocity() ?? 0) > FLING_VELOCITY;
+
+        const press = {
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            x: event.clientX,
+            y: event.clientY,
+            scrollY: window.scrollY,
+            isTap: !isFlinging,
+            isLongPress: false,
+            timer: null,
+            // The open book, if the press started on it: dragging then rotates it
+            inspectBook: null,
+        };
+        if (press.pointerType === "touch" && press.isTap) {
+            press.timer = setTimeout(() => this.onLongPress(press), LONG_PRESS_DELAY);
+        }
+
+        const readable = this.getReadableBook();
+        if (readable && this.canInteract
+            && this.raycastBooks(press.x, press.y)?.object.userData.bookScene === readable.scene) {
+            press.inspectBook = readable;
+        }
+
+        this.press = press;
+    }
+
+    onCanvasPointerMove(event) {
+        const press = this.press;
+        if (press?.pointerId === event.pointerId
+            && Math.hypot(event.clientX - press.x, event.clientY - press.y) > TAP_SLOP) {
+            // Scrolling or dragging, not pressing a book
+            press.isTap = false;
+            clearTimeout(press.timer);
+            press.timer = null;
+
+            if (press.inspectBook && !press.inspectBook.inspect.isDragging) this.startInspectDrag(press, event);
+        }
+
+        if (press?.pointerId === event.pointerId && press.inspectBook?.inspect.isDragging) {
+            const book = press.inspectBook;
+            dragTo(book.inspect, event.clientX, event.clientY, event.timeStamp);
+            applyInspectPose(book.model, this.bookBounds.center, book.inspect);
+            this.requestRender();
+            return;
+        }
+
+        if (event.pointerType !== "touch") this.hoverAt(event.clientX, event.clientY);
+    }
+
+    /**
+     * Rotate the open book with the pointer. Touch only gets horizontal drags: the canvas leaves
+     * vertical swipes to the browser (touch-action: pan-y), so the page still scrolls and the pin
+     * still closes the book. On release the book coasts and springs back in renderFrame.
+     */
+    startInspectDrag(press, event) {
+        const canvas = this.renderer.domElement;
+        // Keep getting moves when the pointer leaves the canvas mid-drag
+        canvas.setPointerCapture(event.pointerId);
+        canvas.style.cursor = "grabbing";
+        startDrag(press.inspectBook.inspect, event.clientX, event.clientY, event.timeStamp);
+    }
+
+    onCanvasPointerUp(event) {
+        const press = this.press;
+        if (press?.pointerId !== event.pointerId) return;
+
+        // The page may have scrolled under a still finger (e.g. the pin snapping)
+        const isTap = press.isTap && window.scrollY === press.scrollY;
+        this.endPress();
+        if (isTap) this.onCanvasTap(event);
+    }
+
+    // Held still long enough: peek at the book under the finger until it lifts
+    onLongPress(press) {
+        press.timer = null;
+        press.isTap = false;
+        if (!this.canInteract || this.isClosingFromScroll) return;
+
+        const bookIndex = this.raycastBooks(press.x, press.y)?.object.userData.bookIndex;
+        if (bookIndex === undefined) return;
+
+        press.isLongPress = true;
+        this.clearHoveredBook();
+        this.setHoveredBook(bookIndex);
+    }
+
+    // Forget the current press, closing a long-press peek
+    endPress() {
+        const press = this.press;
+        if (!press) return;
+
+        this.press = null;
+        clearTimeout(press.timer);
+        if (press.isLongPress) this.clearHoveredBook();
+
+        const book = press.inspectBook;
+        if (book?.inspect.isDragging) {
+            this.renderer.domElement.style.cursor = "";
+            if (this.isReducedMotion) {
+                resetInspect(book.inspect);
+                applyInspectPose(book.model, this.bookBounds.center, book.inspect);
+            } else {
+                endDrag(book.inspect);
+            }
+            this.requestRender();
+        }
+    }
+
+    hoverAt(clientX, clientY) {
+        if (!this.canInteract) return;
+
+        const hit = this.raycastBooks(clientX, clientY);
+
+        if (hit) {
+            const { bookIndex } = hit.object.userData;
+            if (bookIndex === this.currentHoveredIndex) return;
+
+            this.clearHoveredBook();
+            this.setHoveredBook(bookIndex);
+        } else {
+            this.clearHoveredBook();
+        }
+    }
+
+    setHoveredBook(bookIndex) {
+        this.currentHoveredIndex = bookIndex;
+        const book = this.bookInstances[bookIndex];
+        if (!book) return;
+
+        this.emitBookEvent(TextureEvents.HOVER_START, book);
+
+        // If book is open or is opening/closing, skip hover
+        if (book.isOpen || book.isClickPlaying || book.status !== "loaded") return;
+
+        // The hover peek lifts the cover, so get the first spread ready
+        this.showSpread(book, 0);
+
+        this.animateToFraction(book, this.hoverPlayPercentage);
+    }
+
+    clearHoveredBook() {
+        if (this.currentHoveredIndex === -1) return;
+        const oldBook = this.bookInstances[this.currentHoveredIndex];
+        this.currentHoveredIndex = -1;
+        if (!oldBook) return;
+
+        this.emitBookEvent(TextureEvents.HOVER_END, oldBook);
+
+        if (oldBook.isOpen || oldBook.isClickPlaying || oldBook.status !== "loaded") return;
+        this.animateToFraction(oldBook, 0);
+    }
+
+    addResizeListener() {
+        this.onResize = () => {
+            // Re-run your custom size logic so bookSpacingScale gets updated
+            this.setUpSizes();
+
+            this.camera.aspect = this.aspectRatio;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(this.sizes.width, this.sizes.height);
+            this.requestRender();
+
+            // If you use ScrollTrigger, refresh it after resizing
+            // Recalculate book positions using the current scroll progress
+            // (so they visually jump to the correct ellipse position)
+            if (this.scrollTrigger) {
+                this.scrollTrigger.refresh();
+                this.updateBookPositions(this.scrollTrigger.progress);
+            }
+
+        };
+        window.addEventListener("resize", this.onResize);
+    }
+
+    /**
+     * Tear the scene down: listeners, the ScrollTrigger (and its pin), the scrollbar Draggable,
+     * the render loop, animations, GPU resources, decoder workers and the elements added to
+     * the container. Loads still in flight are dropped. The instance can't be used afterwards.
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener("pointerdown", this.onPointerDown);
+        canvas.removeEventListener("pointermove", this.onPointerMove);
+        canvas.removeEventListener("pointerup", this.onPointerUp);
+        canvas.removeEventListener("pointercancel", this.onPointerCancel);
+        canvas.removeEventListener("pointerleave", this.onPointerLeave);
+        canvas.removeEventListener("contextmenu", this.onContextMenu);
+        canvas.removeEventListener("focus", this.onCanvasFocus);
+        canvas.removeEventListener("blur", this.onCanvasBlur);
+        canvas.removeEventListener("keydown", this.onKeyDown);
+        clearTimeout(this.press?.timer);
+        this.press = null;
+        window.removeEventListener("resize", this.onResize);
+        this.container.removeEventListener("keydown", this.onPageKeyDown);
+        window.removeEventListener("popstate", this.onPopState);
+        document.removeEventListener("visibilitychange", this.onVisibilityChange);
+        this.reducedMotionQuery?.removeEventListener("change", this.onReducedMotionChange);
+
+        // Render loop
+        this.visibilityObserver?.disconnect();
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+
+        // Animations; killing the ScrollTrigger also unpins the section
+        this.scrollTrigger?.kill();
+        this.scrollTrigger = null;
+        this.scrollbarDraggable?.kill();
+        this.scrollbarWrapper?.classList.remove("scrollbar-wrapper--overflow");
+        this.entryTimeline?.kill();
+        this.autoCloseTween?.kill();
+        this.scrollTween?.kill();
+        gsap.killTweensOf([this.booksGroup.position, canvas, this.detailsPanel.element, this.pager.element]);
+        if (this.loadingScreen) gsap.killTweensOf(this.loadingScreen.element);
+
+        // Resources shared between books are only disposed once
+        const disposed = new Set();
+        const dispose = (resource) => {
+            if (!resource || disposed.has(resource)) return;
+            disposed.add(resource);
+            resource.dispose();
+        };
+
+        this.bookInstances.forEach((book) => {
+            book.openTimeline?.kill();
+            book.closeTimeline?.kill();
+            gsap.killTweensOf([book.scene.position, book.scene.rotation, book.scene.scale]);
+            if (book.mixer) {
+                book.mixer.stopAllAction();
+                book.mixer.uncacheRoot(book.mixer.getRoot());
+            }
+            Object.values(book.bakedPageMaps).forEach(dispose);
+            book.pageTextures.forEach((pending) => pending?.then(dispose));
+        });
+
+        disposeTree(this.scene, dispose);
+        if (this.focusIndicator) disposeTree(this.focusIndicator, dispose);
+        // The cached models the books were cloned from, including any still loading
+        this.modelCache?.forEach(({ promise }) => {
+            promise.then((gltf) => disposeTree(gltf.scene, dispose), () => {});
+        });
+        this.modelCache?.clear();
+
+        // Terminates the decoder workers
+        this.dracoLoader?.dispose();
+        this.ktx2Loader?.dispose();
+
+        this.scene.clear();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        canvas.remove();
+
+        this.loadingScreen?.element.remove();
+        this.detailsPanel.element.remove();
+        this.pager.element.remove();
+        this.shelfMirror.element.remove();
+
+        this.bookInstances = [];
+        this.clickableObjects = [];
+        this.detailsBook = null;
+    }
+}